@@ -2,9 +2,10 @@
    File: js/app.js (REVISION)
    Rolle: Senior UX/Frontend-Architekt · Karriere-/Vergütungs-Strategieberater
    Ziel:
-   - Single-Page-App-Logik (Router, Views, Command-Palette, Export)
-   - Daten-Layer (careers.json), TV-Ärzte/St. Georg Kalkulations-Engine (11/2024, 04/2025, 09/2025, 04/2026)
-   - Tracks-Explorer (Filter, Suche, Modals), Vergleich (Radar-Chart)
+   - Single-Page-App-Logik (Router mit Pfad-Parametern, 404 & Hooks; Views, Command-Palette, Export)
+   - Daten-Layer (careers.json) inkl. Schema-Prüfung & Migrationen
+   - Tarif-Rechner-UI auf Basis der TariffEngine (11/2024, 04/2025, 09/2025, 04/2026)
+   - Tracks-Explorer (kombinierbare Facetten, Sortierung, Filter in der URL, Suche, Detail-Dialoge per Direktlink #/tracks/:id), Vergleich (Entscheidungsmatrix, Radar-Chart)
    - Robuste Fallbacks (ohne Vendor-Libs lauffähig), Barrierefreiheit, Tastaturbedienung
 
    Abhängigkeiten (optional; via vendor.js geladen, Guards vorhanden):
@@ -12,6 +13,17 @@
    - window.vendorReady: Promise<boolean>
    - window.mountCarousels(): Splide re-mount für dynamische Inhalte
 
+   Module (Pflicht; vor app.js geladen):
+   - window.TariffEngine: Tarifindex & Monatsberechnung (js/tariff-engine.js)
+   - window.Roster: Dienstplan-Import CSV/iCalendar (js/roster.js)
+   - window.Holidays: Gesetzliche Feiertage je Bundesland (js/holidays.js)
+   - window.NetSalary: Brutto-Netto-Rechnung 2025/2026 (js/net-salary.js)
+   - window.TariffTools: Tarifstand-Import & Erhöhungsgenerator (js/tariff-tools.js)
+   - window.ResumeExport: Lebenslauf als JSON Resume / Europass (js/resume-export.js)
+   - window.Compensation: Vergütungsangaben → Jahresbrutto min/typisch/max, Honorar/Partner getrennt (js/compensation.js)
+   - window.Freelance: Break-even Honorar vs. Tarifpaket (js/freelance.js)
+   - window.DataMigrations: careers.json-Migrationen auf das Engine-Schema (js/data-migrations.js)
+
    Kompatibilität:
    - IDs/Selektoren abgestimmt auf index.html & style.css Revision
    ========================================================================== */
@@ -28,6 +40,7 @@
   const off = (el, ev, fn) => el && el.removeEventListener(ev, fn);
   const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
   const isNum = (n) => typeof n === "number" && Number.isFinite(n);
+  const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
 
   const fmtCurr = new Intl.NumberFormat("de-DE", { style: "currency", currency: "EUR", maximumFractionDigits: 2 });
   const fmtInt = new Intl.NumberFormat("de-DE", { maximumFractionDigits: 0 });
@@ -41,6 +54,12 @@
     return Number.isFinite(n) ? n : 0;
   };
 
+  // Werte aus <input type="number"> ("7.5"; tolerant auch "7,5") – parseDeNumber würde den Punkt als Tausendertrenner lesen
+  const parseInputNumber = (v) => {
+    const n = Number(String(v ?? "").trim().replace(",", "."));
+    return Number.isFinite(n) ? n : 0;
+  };
+
   const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
   const supportsDialog = "HTMLDialogElement" in window;
@@ -49,14 +68,27 @@
    * 1) Globals & State
    * -------------------------------------------------------------- */
   const VENDOR = window.VENDOR || {};
+  const Engine = window.TariffEngine;
+  const Roster = window.Roster;
+  const Holidays = window.Holidays;
+  const NetSalary = window.NetSalary;
+  const TariffTools = window.TariffTools;
+  const ResumeExport = window.ResumeExport;
+  const Compensation = window.Compensation;
+  const Freelance = window.Freelance;
+  const DataMigrations = window.DataMigrations;
   const Outlet = $("#viewOutlet");
 
   const State = {
     data: null,           // Loaded careers.json
     idx: null,            // Tariff index
     route: "overview",    // Current route
+    query: {},            // Query-Parameter der aktuellen Route (#/name?key=value)
+    params: {},           // Pfad-Parameter der aktuellen Route (#/tracks/:id → { id })
     selectedCompare: new Set(JSON.parse(localStorage.getItem("cmp") || "[]")),
     searchIndex: null,    // Fuse index
+    diagnostics: [],      // Schema-Befunde zu careers.json
+    migrations: [],       // Angewendete Datenmigrationen
   };
 
   // Notifications (Notyf-fallback auf eigene Toasts)
@@ -94,38 +126,207 @@
   // Persist compare selection
   const saveCompare = () => localStorage.setItem("cmp", JSON.stringify([...State.selectedCompare]));
 
+  // Persist Stufenplanung (Tarif-Rechner)
+  const loadStufenplan = () => {
+    try { return JSON.parse(localStorage.getItem("stufenplan") || "{}"); } catch { return {}; }
+  };
+  const saveStufenplan = (plan) => localStorage.setItem("stufenplan", JSON.stringify(plan));
+
+  // Bundesland für Feiertage (Tarif-Rechner, Dienstplan, Projektion)
+  const loadLand = () => {
+    const land = localStorage.getItem("land");
+    return Holidays.STATES[land] ? land : Holidays.DEFAULT_STATE;
+  };
+  const saveLand = (land) => localStorage.setItem("land", land);
+
+  // Persist Netto-Einstellungen (Steuerklasse, Kinder, KV-Zusatzbeitrag …); ZVK-Satz aus tariff.zusatzversorgung
+  const netDefaults = () => {
+    const an = State.data?.tariff?.zusatzversorgung?.an_pct;
+    return { ...NetSalary.DEFAULTS, ...(isNum(an) ? { zvkPct: an } : {}) };
+  };
+  const loadNetto = () => {
+    try { return { ...netDefaults(), ...JSON.parse(localStorage.getItem("netto") || "{}") }; } catch { return netDefaults(); }
+  };
+  const saveNetto = (opts) => localStorage.setItem("netto", JSON.stringify(opts));
+
+  // Persist Vergütungs-Annahmen (abrechenbare Tage/Stunden, Bonus-Zielerreichung …)
+  const loadCompAssumptions = () => {
+    try { return { ...Compensation.DEFAULTS, ...JSON.parse(localStorage.getItem("compAssumptions") || "{}") }; } catch { return { ...Compensation.DEFAULTS }; }
+  };
+  const saveCompAssumptions = (opts) => localStorage.setItem("compAssumptions", JSON.stringify(opts));
+
+  // Persist Rechner-Eingaben (zusätzlich als Query im Hash teilbar)
+  const loadCalcState = () => {
+    try { return JSON.parse(localStorage.getItem("calc") || "{}"); } catch { return {}; }
+  };
+  const saveCalcState = (st) => localStorage.setItem("calc", JSON.stringify(st));
+
+  // Benannte Rechner-Szenarien: [{ id, name, saved, state }]
+  const loadScenarios = () => {
+    try {
+      const list = JSON.parse(localStorage.getItem("scenarios") || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch { return []; }
+  };
+  const saveScenarios = (list) => localStorage.setItem("scenarios", JSON.stringify(list));
+
+  // Persist Break-even-Eingaben (Freelance vs. angestellt)
+  const freelanceDefaults = () => {
+    const ag = State.data?.tariff?.zusatzversorgung?.ag_pct;
+    return { ...Freelance.DEFAULTS, ...(isNum(ag) ? { zvkAgPct: ag } : {}), eg: "II", stufe: 3, extras: null };
+  };
+  const loadFreelance = () => {
+    try { return { ...freelanceDefaults(), ...JSON.parse(localStorage.getItem("freelance") || "{}") }; } catch { return freelanceDefaults(); }
+  };
+  const saveFreelance = (opts) => localStorage.setItem("freelance", JSON.stringify(opts));
+
+  // Entscheidungsmatrix (Vergleich): { criteria: [{ key, label, weight, custom }], scores: { [slug]: { [key]: 0–5 } } }
+  const DECISION_CRITERIA = [
+    { key: "pay", label: "Vergütung", weight: 3 },
+    { key: "schedule", label: "Planbarkeit", weight: 2 },
+    { key: "research", label: "Forschung/Lehre", weight: 1 },
+    { key: "tech", label: "Technik/Innovation", weight: 2 },
+    { key: "lead", label: "Führung", weight: 1 },
+    { key: "wl", label: "Work-Life", weight: 3 }
+  ];
+  const loadDecision = () => {
+    const fallback = { criteria: DECISION_CRITERIA.map(c => ({ ...c })), scores: {} };
+    try {
+      const d = JSON.parse(localStorage.getItem("decision") || "null");
+      return Array.isArray(d?.criteria) && d.criteria.length ? { criteria: d.criteria, scores: d.scores || {} } : fallback;
+    } catch { return fallback; }
+  };
+  const saveDecision = (d) => localStorage.setItem("decision", JSON.stringify(d));
+
   /* --------------------------------------------------------------
    * 2) Router
    * -------------------------------------------------------------- */
   const Router = (() => {
+    // "tracks" | "tracks/:id" → { view, title, beforeLeave, afterEnter }
+    //   title:       String oder (params, query) => String (document.title)
+    //   beforeLeave: (to) => boolean – false bricht den Wechsel ab (to = { name, query, params })
+    //   afterEnter:  (to) => void    – nach dem Rendern der View
     const routes = new Map();
+    let current = null;         // zuletzt gerenderte Route (für In-place-Updates & beforeLeave)
+    let lastHash = "";          // Hash der aktuellen Route (Rücksprung bei abgebrochenem Wechsel)
+    let position = 0;           // history.state.idx der aktuellen Route (Richtung bei Zurück/Vor)
+    let restoring = false;      // abgebrochener Wechsel wird per History-Traversal zurückgenommen
+    const baseTitle = document.title;
 
-    const register = (name, fn) => routes.set(name, fn);
+    const register = (name, view, opts = {}) => routes.set(name, { view, ...opts });
 
+    // "#/calculator?eg=III&stufe=2" → { name: "calculator", query: { eg: "III", stufe: "2" } }
     const parseHash = () => {
       const h = location.hash.replace(/^#\/?/, "");
-      return h || "overview";
+      const [path, qs = ""] = h.split("?");
+      return { name: path.replace(/\/+$/, "") || "overview", query: Object.fromEntries(new URLSearchParams(qs)) };
+    };
+
+    // "tracks/klinikum_st_georg/positions/ksg_oa_eg3" gegen "tracks/:id/positions/:pid" → { id, pid } | null
+    // (ungültige %-Kodierung → null, resolve fällt auf 404 zurück)
+    const matchPattern = (pattern, path) => {
+      const want = pattern.split("/");
+      const got = path.split("/");
+      if (want.length !== got.length) return null;
+      const params = {};
+      for (let i = 0; i < want.length; i++) {
+        if (want[i].startsWith(":")) {
+          try { params[want[i].slice(1)] = decodeURIComponent(got[i]); } catch { return null; }
+        } else if (want[i] !== got[i]) return null;
+      }
+      return params;
+    };
+
+    // Exakter Name vor Mustern: → { route, params } | null
+    const resolve = (path) => {
+      if (routes.has(path)) return { route: routes.get(path), params: {} };
+      for (const [pattern, route] of routes) {
+        const params = pattern.includes(":") ? matchPattern(pattern, path) : null;
+        if (params) return { route, params };
+      }
+      return null;
+    };
+
+    const buildHash = (name, query = {}) => {
+      const qs = new URLSearchParams(query).toString();
+      return `#/${name}${qs ? `?${qs}` : ""}`;
+    };
+
+    // Navigation: aktive data-nav-Links, Titel, Fokus auf die Überschrift der View
+    const markActive = (name) => {
+      const section = name.split("/")[0];
+      $$("a[data-nav]").forEach(a => {
+        const active = a.getAttribute("data-nav") === section;
+        a.classList.toggle("is-active", active);
+        if (active) a.setAttribute("aria-current", "page");
+        else a.removeAttribute("aria-current");
+      });
+    };
+    const setTitle = (route, params, query) => {
+      const t = typeof route?.title === "function" ? route.title(params, query) : route?.title;
+      document.title = t ? `${t} · ${baseTitle}` : baseTitle;
+    };
+    const focusHeading = () => {
+      const h = $("h1, h2, h3", Outlet);
+      if (!h) return;
+      if (!h.hasAttribute("tabindex")) h.setAttribute("tabindex", "-1");
+      h.focus({ preventScroll: true });
     };
 
     const render = async () => {
-      const name = parseHash();
+      const { name, query } = parseHash();
+      const match = resolve(name);
+      const route = match?.route || routes.get("404");
+      const params = match?.params || {};
+      const to = { name, query, params };
+      const idx = history.state?.idx;
+      if (restoring) {
+        restoring = false;
+        if (idx === position) return; // zurück auf dem Eintrag der aktuellen View
+      }
+
+      // Gleiche View (z. B. Detail-Dialog über der Pfadliste): View aktualisiert sich selbst, kein Neuaufbau
+      const inPlace = route && current && route.view === current.view;
+      if (!inPlace && current?.beforeLeave && current.beforeLeave(to) === false) {
+        // Zurück/Vor: Traversal umkehren; neuer Eintrag (Link, goto): zurück; gleicher Eintrag (replace): Hash wiederherstellen
+        if (Number.isInteger(idx) && idx !== position) {
+          restoring = true;
+          history.go(position - idx);
+        } else if (!Number.isInteger(idx)) {
+          restoring = true;
+          history.back();
+        } else {
+          history.replaceState(history.state, "", lastHash);
+        }
+        return;
+      }
+      if (Number.isInteger(idx)) position = idx;
+      else history.replaceState({ ...history.state, idx: ++position }, "", location.hash);
+      const initial = !current;
+      lastHash = location.hash;
       State.route = name;
+      State.query = query;
+      State.params = params;
+      setTitle(route, params, query);
+      markActive(name);
+      if (inPlace && route.view.update?.(query, params)) return;
+
       Outlet.setAttribute("aria-busy", "true");
-      Outlet.innerHTML = skeletonFor(name);
+      Outlet.innerHTML = skeletonFor(name.split("/")[0]);
       await sleep(10); // micro-yield for paint
 
-      if (!routes.has(name)) {
-        await routes.get("overview")?.();
-      } else {
-        try {
-          await routes.get(name)();
-        } catch (e) {
-          Outlet.innerHTML = errorBlock(e);
-        }
+      current = route;
+      try {
+        await route.view(query, params);
+      } catch (e) {
+        current = null;
+        Outlet.innerHTML = errorBlock(e);
       }
 
       Outlet.setAttribute("aria-busy", "false");
       animateIn(Outlet);
+      if (!initial) focusHeading();
+      current?.afterEnter?.(to);
       // Tooltips re-bind (optional)
       if (VENDOR.tippy) {
         try { VENDOR.tippy("[title]", { delay: [250, 0], allowHTML: false, arrow: true }); } catch {}
@@ -134,13 +335,27 @@
       if (window.mountCarousels) window.mountCarousels();
     };
 
-    const goto = (name) => {
+    const goto = (name, query) => {
       if (!name) name = "overview";
-      const current = location.hash.replace(/^#\/?/, "");
-      if (current !== name) location.hash = `#/${name}`;
+      const target = buildHash(name, query);
+      if (location.hash !== target) location.hash = target;
       else render();
     };
 
+    // Route ohne neuen History-Eintrag wechseln (z. B. Detail schließen nach Direktaufruf)
+    const replace = (name, query) => {
+      history.replaceState(history.state, "", buildHash(name, query));
+      render();
+    };
+
+    // Query der aktuellen Route ersetzen, ohne neu zu rendern oder einen History-Eintrag anzulegen
+    const replaceQuery = (query) => {
+      const target = buildHash(State.route, query);
+      if (location.hash !== target) history.replaceState(history.state, "", target);
+      lastHash = target;
+      State.query = { ...query };
+    };
+
     const init = () => {
       // Intercept all data-nav links (delegation on document)
       on(document, "click", (e) => {
@@ -152,9 +367,16 @@
 
       on(window, "hashchange", render);
       on(window, "load", render);
+      // Tab schließen/neu laden: gleiche Rückfrage wie beim Verlassen der View
+      on(window, "beforeunload", (e) => {
+        if (current?.beforeLeave && current.beforeLeave(null) === false) {
+          e.preventDefault();
+          e.returnValue = "";
+        }
+      });
     };
 
-    return { register, render, goto, init };
+    return { register, render, goto, replace, replaceQuery, buildHash, init };
   })();
 
   // Skeleton blocks per route for perceived performance
@@ -197,6 +419,17 @@
     </section>
   `;
 
+  // Unbekannte Pfad-/Positions-IDs u. Ä.
+  const notFoundBlock = (title, text, back = { route: "overview", label: "Zur Übersicht" }) => `
+    <section class="section-space fade-in">
+      <div class="card">
+        <h3 class="section-title">${title}</h3>
+        <p class="muted">${text}</p>
+        <p class="mt"><a class="link" href="#/${back.route}" data-nav="${back.route}">${back.label}</a></p>
+      </div>
+    </section>
+  `;
+
   /* --------------------------------------------------------------
    * 3) Animations (optional via GSAP)
    * -------------------------------------------------------------- */
@@ -219,8 +452,12 @@
    *      bd_hourly: [{ valid_from, by_eg: { EG_I:Number, EG_II:Number, EG_III:Number, EG_IV:Number } }],
    *      rb_factors: { slotKey: { I:Number, II:Number, III:Number }, ... },
    *      rb_taxfree: { slotKey: Number(%), ... },
+   *      bd_bewertung: [{ valid_from, stufen: { I:%, II:%, III:% }, max_weekly_hours, max_weekly_hours_opt_out }],
+   *      para11: [{ valid_from, rates: { night, sat, sun, hol_no_comp, hol_with_comp, vorfest, overtime } (%) }],
+   *      para11_taxfree: { basis_cap_eur_per_h: Number, rates: { bd_night, bd_holiday, ws_night, night, sun, hol_no_comp, hol_with_comp, vorfest_24, vorfest_31 } },
    *      schichtzulage: [{ valid_from, eur_per_month }],
-   *      wechselschicht_nacht_eur_per_h: [{ valid_from, eur_per_hour }]
+   *      wechselschicht_nacht_eur_per_h: [{ valid_from, eur_per_hour }],
+   *      zusatzversorgung: { kasse, note, an_pct: Number(%), ag_pct: Number(%) }
    *    }
    * -------------------------------------------------------------- */
   const loadData = async () => {
@@ -228,28 +465,49 @@
       const res = await fetch("data/careers.json", { cache: "no-store" });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
+      const rawIssues = validateData(data); // vor normalizeData (mutiert in-place)
       State.data = normalizeData(data);
-      State.idx = buildTariffIndex(State.data.tariff);
+      State.diagnostics = reconcileIssues(rawIssues, validateData(State.data));
+      State.idx = Engine.buildIndex(State.data.tariff);
       buildSearchIndex(State.data);
+      const open = State.diagnostics.filter(i => !i.resolved);
+      if (open.length) {
+        notifier.open({ message: `Datenprüfung: ${open.length} Hinweise – siehe Diagnose.` });
+        console.warn("[data] schema issues:", open);
+      }
       return true;
     } catch (e) {
       notifier.error("Daten konnten nicht geladen werden. Minimaldaten werden verwendet.");
       console.warn("[data] load fallback:", e);
       // Minimal-Fallback (nur damit App bedienbar bleibt)
       State.data = minimalDataset();
-      State.idx = buildTariffIndex(State.data.tariff);
+      State.diagnostics = validateData(State.data);
+      State.idx = Engine.buildIndex(State.data.tariff);
       buildSearchIndex(State.data);
       return false;
     }
   };
 
+  /* --------------------------------------------------------------
+   * 4a) Migrationen: siehe js/data-migrations.js (window.DataMigrations)
+   *     Jeder Schritt protokolliert seine Umsetzungen in State.migrations.
+   * -------------------------------------------------------------- */
+  const migrateData = (data) => {
+    const { version, applied } = DataMigrations.migrate(data);
+    if (version !== DataMigrations.DATA_VERSION) console.warn(`[data] unbekannte Datenversion ${version} (erwartet ${DataMigrations.DATA_VERSION})`);
+    State.migrations = applied;
+    return data;
+  };
+
   const normalizeData = (data) => {
     // Defensive normalisierung (Felder sicherstellen)
     data = data || {};
+    data.meta = data.meta || {};
     data.profile = data.profile || {};
     data.tracks = Array.isArray(data.tracks) ? data.tracks : [];
     data.sources = Array.isArray(data.sources) ? data.sources : [];
     data.tariff = data.tariff || {};
+    migrateData(data);
     // Entgelttabellen-Feldnamen harmonisieren (EG-II -> EG_II)
     if (Array.isArray(data.tariff.entgelttabellen)) {
       data.tariff.entgelttabellen.forEach(t => {
@@ -318,6 +576,16 @@
         sun: 50,
         hol: 125
       },
+      bd_bewertung: [
+        { valid_from: "2024-11-01", stufen: { I: 60, II: 75, III: 90 }, max_weekly_hours: 48, max_weekly_hours_opt_out: 58 }
+      ],
+      para11: [
+        { valid_from: "2024-11-01", rates: { night: 15, sat: 20, sun: 40, hol_no_comp: 135, hol_with_comp: 35, vorfest: 35, overtime: 15 } }
+      ],
+      para11_taxfree: {
+        basis_cap_eur_per_h: 50,
+        rates: { bd_night: 25, bd_holiday: 125, ws_night: 25, night: 25, sun: 50, hol_no_comp: 125, hol_with_comp: 125, vorfest_24: 150, vorfest_31: 125 }
+      },
       schichtzulage: [
         { valid_from: "2024-11-01", eur_per_month: 200 },
         { valid_from: "2025-04-01", eur_per_month: 220 },
@@ -333,83 +601,263 @@
     sources: []
   });
 
-  // Build tariff index for fast lookups
-  const buildTariffIndex = (tariff) => {
-    const idx = {
-      weeklyHours: tariff?.weekly_hours || 40,
-      versions: [],
-      entgelttabellen: {},         // version -> { EG_*: [stufen] }
-      bdHourly: {},                // version -> { EG_*: €/h }
-      rbFactors: tariff?.rb_factors || {},
-      rbTaxfree: tariff?.rb_taxfree || {},
-      schichtzulage: tariff?.schichtzulage || [],
-      wsNacht: tariff?.wechselschicht_nacht_eur_per_h || []
-    };
-
-    (tariff?.entgelttabellen || []).forEach(t => {
-      idx.entgelttabellen[t.valid_from] = t.table;
-      idx.versions.push(t.valid_from);
-    });
-    (tariff?.bd_hourly || []).forEach(b => {
-      idx.bdHourly[b.valid_from] = b.by_eg;
-      if (!idx.versions.includes(b.valid_from)) idx.versions.push(b.valid_from);
-    });
+  // Tarif-Lookups & Monatsberechnung: siehe js/tariff-engine.js (window.TariffEngine)
 
-    // sort versions ascending
-    idx.versions.sort((a,b) => new Date(a) - new Date(b));
-    return idx;
+  /* --------------------------------------------------------------
+   * 4b) Schema & Validierung (careers.json)
+   *     Deklarative Beschreibung aller Felder, die Views/Engine lesen.
+   *     Knoten: { type, required, views, fields | items | values, open, legacy }
+   *     - fields: feste Schlüssel (unbekannte werden gemeldet, außer open)
+   *     - values: Map mit beliebigen Schlüsseln, Werte nach Schema
+   *     - legacy: alte Feldnamen → Hinweis bei "unbekannt"
+   *     - views: betroffene Ansichten (vererbt sich auf Kinder)
+   * -------------------------------------------------------------- */
+  const VIEW_LABELS = {
+    overview: "Übersicht",
+    profile: "Profil",
+    tracks: "Karrierepfade",
+    calculator: "Tarif-Rechner",
+    compare: "Vergleich",
+    sources: "Quellen",
+    search: "Schnellsuche",
+    export: "Export"
   };
 
-  // Pick effective version <= given month/year
-  const pickVersion = (idx, y, m) => {
-    const d = new Date(Date.UTC(Number(y), Number(m) - 1, 15));
-    let pick = idx.versions[0] || null;
-    for (const v of idx.versions) {
-      if (new Date(v) <= d) pick = v;
-      else break;
-    }
-    return pick;
+  const S = {
+    str:  (o = {}) => ({ type: "string", ...o }),
+    num:  (o = {}) => ({ type: "number", ...o }),
+    date: (o = {}) => ({ type: "date", ...o }),
+    arr:  (items, o = {}) => ({ type: "array", items, ...o }),
+    obj:  (fields, o = {}) => ({ type: "object", fields, ...o }),
+    map:  (values, o = {}) => ({ type: "object", values, ...o }),
   };
 
-  const getBaseMonthly = (idx, versionKey, eg, stufe) => {
-    const table = idx.entgelttabellen[versionKey] || {};
-    const arr = table[eg] || [];
-    const i = clamp(Number(stufe) - 1, 0, arr.length - 1);
-    return parseDeNumber(arr[i] || 0);
+  const SOURCE_LINK_SCHEMA = S.obj({
+    label: S.str(),
+    url: S.str({ required: true }),
+    note: S.str()
+  });
+
+  const POSITION_SCHEMA = S.obj({
+    id: S.str(),
+    title: S.str({ required: true }),
+    employer: S.str(),
+    company: S.str(),
+    type: S.str(),
+    location: S.str(),
+    model: S.str(),
+    contract: S.str(),
+    weekly_hours: S.num(),
+    working_time: S.str(),
+    shifts: S.arr(S.str()),
+    requirements: S.arr(S.str()),
+    benefits: S.arr(S.str()),
+    notes: S.arr(S.str()),
+    compensation: S.obj({}, { open: true }),
+    compensation_note: S.str(),
+    salary_min: S.num(),
+    salary_max: S.num(),
+    salary_period: S.str(),
+    from_profile_alignment: S.arr(S.str()),
+    sources_hint: S.arr(S.str())
+  });
+
+  const DATA_SCHEMA = S.obj({
+    meta: S.obj({
+      version: S.str({ required: true }),
+      generated_at: S.date(),
+      locale: S.str(),
+      currency: S.str(),
+      notes: S.arr(S.str())
+    }, { required: true, views: ["overview"] }),
+
+    profile: S.obj({
+      name: S.str({ required: true }),
+      title: S.str(),
+      location: S.str(),
+      summary: S.str({ views: ["profile"] }),
+      skills: S.obj({
+        clinical: S.arr(S.str()),
+        technical: S.arr(S.str()),
+        leadership: S.arr(S.str()),
+        research: S.arr(S.str())
+      }, { views: ["profile"] }),
+      education: S.arr(S.obj({
+        degree: S.str({ required: true }),
+        institution: S.str(),
+        topic: S.str(),
+        year: S.num(),
+        years: S.str(),
+        distinctions: S.arr(S.str())
+      }), { views: ["profile"] }),
+      experience: S.arr(S.obj({
+        role: S.str({ required: true }),
+        employer: S.str(),
+        since: S.date(),
+        until: S.date(),
+        highlights: S.arr(S.str())
+      }), { views: ["profile"] }),
+      tech_stack: S.map(S.arr(S.str()), { views: ["profile"] }),
+      interests: S.arr(S.str(), { views: ["profile"] })
+    }, { required: true, views: ["overview", "profile", "export"] }),
+
+    tariff: S.obj({
+      employer: S.str(),
+      contract_name: S.str(),
+      weekly_hours: S.num({ required: true }),
+      stufenlaufzeiten: S.map(S.arr(S.num())),
+      entgelttabellen: S.arr(S.obj({
+        valid_from: S.date({ required: true }),
+        note: S.str(),
+        table: S.map(S.arr(S.num()), { required: true })
+      }), { required: true }),
+      bd_hourly: S.arr(S.obj({
+        valid_from: S.date({ required: true }),
+        by_eg: S.map(S.num(), { required: true })
+      }), { required: true }),
+      rb_factors: S.map(S.obj({ I: S.num(), II: S.num(), III: S.num() }), { required: true, legacy: ["rb_factors_matrix"] }),
+      rb_taxfree: S.map(S.num(), { required: true, legacy: ["rb_factors_matrix"] }),
+      para11: S.arr(S.obj({
+        valid_from: S.date({ required: true }),
+        note: S.str(),
+        rates: S.map(S.num(), { required: true })
+      })),
+      para11_taxfree: S.obj({
+        explanation: S.str(),
+        basis_cap_eur_per_h: S.num(),
+        rates: S.map(S.num())
+      }),
+      bd_bewertung: S.arr(S.obj({
+        valid_from: S.date({ required: true }),
+        note: S.str(),
+        stufen: S.map(S.num(), { required: true }),
+        max_weekly_hours: S.num(),
+        max_weekly_hours_opt_out: S.num()
+      })),
+      schichtzulage: S.arr(S.obj({
+        valid_from: S.date({ required: true }),
+        eur_per_month: S.num({ required: true, legacy: ["amount_eur_per_month"] })
+      })),
+      wechselschicht_nacht_eur_per_h: S.arr(S.obj({
+        valid_from: S.date({ required: true }),
+        eur_per_hour: S.num({ required: true, legacy: ["amount_eur_per_hour"] })
+      })),
+      zusatzversorgung: S.obj({
+        kasse: S.str(),
+        note: S.str(),
+        an_pct: S.num(),
+        ag_pct: S.num()
+      })
+    }, { required: true, views: ["calculator", "overview"] }),
+
+    tracks: S.arr(S.obj({
+      id: S.str({ required: true }),
+      slug: S.str(),
+      title: S.str({ required: true }),
+      icon: S.str(),
+      tags: S.arr(S.str()),
+      summary: S.str(),
+      details: S.str(),
+      details_html: S.str(),
+      key_points: S.arr(S.str()),
+      badges: S.arr(S.str(), { views: ["tracks", "compare"] }),
+      notes: S.arr(S.str()),
+      from_profile_alignment: S.arr(S.str()),
+      metrics: S.obj({
+        pay: S.num(), schedule: S.num(), research: S.num(), tech: S.num(), lead: S.num(), wl: S.num()
+      }, { views: ["compare"] }),
+      model: S.str(),
+      weekly_hours: S.num(),
+      location: S.str(),
+      compensation_note: S.str(),
+      positions: S.arr(POSITION_SCHEMA),
+      employers: S.arr(S.obj({ name: S.str(), roles: S.arr(POSITION_SCHEMA) })),
+      sources: S.arr(SOURCE_LINK_SCHEMA)
+    }), { required: true, views: ["tracks", "compare", "search", "export"] }),
+
+    sources: S.arr(S.obj({
+      label: S.str({ required: true }),
+      hrefs: S.arr(S.str(), { required: true, legacy: ["href"] }),
+      notes: S.str(),
+      note: S.str(),
+      date: S.str(),
+      file_citation: S.str()
+    }), { required: true, views: ["sources", "search"] })
+  });
+
+  const typeOf = (v) => {
+    if (v === null) return "null";
+    if (Array.isArray(v)) return "array";
+    return typeof v;
   };
 
-  const getBDHourly = (idx, versionKey, eg) => {
-    if (idx.bdHourly[versionKey] && eg in idx.bdHourly[versionKey]) {
-      return parseDeNumber(idx.bdHourly[versionKey][eg]);
-    }
-    // fallback to last known version <= current
-    let last = 0;
-    for (const v of idx.versions) {
-      if (new Date(v) <= new Date(versionKey) && idx.bdHourly[v] && eg in idx.bdHourly[v]) {
-        last = parseDeNumber(idx.bdHourly[v][eg]);
-      }
-    }
-    return last || 0;
+  const matchesType = (node, v) => {
+    const t = typeOf(v);
+    if (node.type === "date") return t === "string" && /^\d{4}-\d{2}-\d{2}/.test(v) && !Number.isNaN(Date.parse(v));
+    if (node.type === "number") return isNum(v);
+    return t === node.type;
   };
 
-  const monthlyHours = (weeklyHours) => (weeklyHours * 52) / 12; // 4.333...
-  const hourlyFromMonthly = (monthly, weeklyHours) => {
-    const h = monthlyHours(weeklyHours);
-    return h > 0 ? (monthly / h) : 0;
+  const describeValue = (v) => {
+    const t = typeOf(v);
+    if (t === "string") return `string "${v.length > 40 ? v.slice(0, 40) + "…" : v}"`;
+    if (t === "number" || t === "boolean") return `${t} ${v}`;
+    return t;
   };
 
-  const getSchichtzulage = (idx, y, m) => {
-    const d = new Date(Number(y), Number(m)-1, 1);
-    let val = 0;
-    for (const it of idx.schichtzulage) if (new Date(it.valid_from) <= d) val = parseDeNumber(it.eur_per_month);
-    return val;
+  /** Validiert ein Rohdatenobjekt gegen DATA_SCHEMA; liefert eine flache Liste von Befunden */
+  const validateData = (data, schema = DATA_SCHEMA) => {
+    const issues = [];
+    const push = (kind, path, node, views, extra = {}) => {
+      issues.push({ kind, path: path || "$", expected: node ? node.type : "–", views: [...new Set(views)], ...extra });
+    };
+
+    const walk = (node, value, path, views) => {
+      views = node.views || views;
+      if (value === undefined || value === null) {
+        if (node.required) push("missing", path, node, views, { actual: value === null ? "null" : "–" });
+        return;
+      }
+      if (!matchesType(node, value)) {
+        push("type", path, node, views, { actual: describeValue(value) });
+        return;
+      }
+      if (node.type === "array" && node.items) {
+        value.forEach((it, i) => walk(node.items, it, `${path}[${i}]`, views));
+        return;
+      }
+      if (node.type !== "object") return;
+
+      if (node.values) {
+        Object.keys(value).forEach(k => walk(node.values, value[k], `${path}.${k}`, views));
+        return;
+      }
+      const fields = node.fields || {};
+      Object.keys(fields).forEach(k => walk(fields[k], value[k], path ? `${path}.${k}` : k, views));
+      if (node.open) return;
+      Object.keys(value).forEach(k => {
+        if (k in fields) return;
+        const replacement = Object.keys(fields).filter(f => (fields[f].legacy || []).includes(k));
+        push("unknown", path ? `${path}.${k}` : k, null, views, {
+          actual: describeValue(value[k]),
+          hint: replacement.length ? `Altes Feld – erwartet ${replacement.map(f => `„${f}“`).join(" / ")}` : ""
+        });
+      });
+    };
+
+    walk(schema, data, "", []);
+    return issues;
   };
 
-  const getWsNachtEuro = (idx, y, m) => {
-    const d = new Date(Number(y), Number(m)-1, 1);
-    let val = 0;
-    for (const it of idx.wsNacht) if (new Date(it.valid_from) <= d) val = parseDeNumber(it.eur_per_hour);
-    return val;
+  /** Markiert Rohdaten-Befunde, die nach der Migration nicht mehr auftreten; neue Befunde werden angehängt */
+  const reconcileIssues = (rawIssues, migratedIssues) => {
+    const key = (i) => `${i.kind}|${i.path}`;
+    const remaining = new Set(migratedIssues.map(key));
+    const rawKeys = new Set(rawIssues.map(key));
+    return [
+      ...rawIssues.map(i => ({ ...i, resolved: !remaining.has(key(i)) })),
+      ...migratedIssues.filter(i => !rawKeys.has(key(i))).map(i => ({ ...i, resolved: false }))
+    ];
   };
 
   /* --------------------------------------------------------------
@@ -443,115 +891,541 @@
             <h3>Tarifversionen</h3>
             <p>Bekannte Stände: <strong>${State.idx?.versions?.length || 0}</strong></p>
             <p class="muted">${(State.idx?.versions || []).map(v => fmtDate(v)).join(" · ")}</p>
+            <p class="muted"><a class="link" href="#/tariff" data-nav="tariff">Tabellen &amp; Vergleich</a></p>
           </article>
 
           <article class="card kpi">
             <h3>Werkzeuge</h3>
             <p>Tarif-Rechner (BD/RB/§11), Pfad-Explorer, Vergleich, Quellen</p>
+            <p class="muted"><a class="link" href="#/freelance" data-nav="freelance">Freelance vs. angestellt (Break-even)</a></p>
             <p class="muted">⌘/Ctrl + K: Schnellsuche</p>
+            <p class="muted"><a class="link" href="#/diagnostics">Datenprüfung: ${(State.diagnostics || []).filter(i => !i.resolved).length} Hinweise</a></p>
           </article>
         </div>
       </section>
     `;
   };
 
-  // Profile
-  const ViewProfile = async () => {
+  // Profile (CV-Zeitleiste aus education/experience, Technik, Interessen)
+  const CV_FILTERS = { all: "Alle", experience: "Beruf", education: "Ausbildung", tech: "Technik", interests: "Interessen" };
+
+  // Dauer in Monaten → "7 J. 8 Mon."
+  const fmtDuration = (months) => {
+    if (!(months > 0)) return "";
+    const y = Math.floor(months / 12);
+    const m = months % 12;
+    return [y ? `${y} J.` : "", m ? `${m} Mon.` : ""].filter(Boolean).join(" ");
+  };
+
+  // Einträge für die Zeitleiste, neueste zuerst (laufende Stationen oben)
+  const cvTimeline = (p, today = new Date()) => {
+    const monthsBetween = (a, b) => (b.getFullYear() - a.getFullYear()) * 12 + (b.getMonth() - a.getMonth());
+    const ym = (d) => `${String(d.getMonth() + 1).padStart(2, "0")}/${d.getFullYear()}`;
+
+    const work = (p.experience || []).map(e => {
+      const start = e.since ? new Date(e.since) : null;
+      const end = e.until ? new Date(e.until) : null;
+      return {
+        kind: "experience",
+        title: e.role || "",
+        org: e.employer || "",
+        current: !!start && !end,
+        sortKey: end ? end.getTime() : Infinity,
+        period: start ? `${ym(start)} – ${end ? ym(end) : "heute"}` : (end ? `bis ${ym(end)}` : ""),
+        duration: start ? fmtDuration(monthsBetween(start, end || today)) : "",
+        highlights: e.highlights || [],
+        distinctions: []
+      };
+    });
+
+    const edu = (p.education || []).map(e => {
+      const [from, to] = e.years ? String(e.years).split(/\s*[–-]\s*/).map(Number) : [null, Number(e.year) || null];
+      return {
+        kind: "education",
+        title: e.degree || "",
+        org: e.institution || "",
+        current: false,
+        sortKey: to ? new Date(to, 11, 31).getTime() : -Infinity,
+        period: from && to ? `${from}–${to}` : String(to || ""),
+        duration: from && to ? fmtDuration((to - from) * 12) : "",
+        topic: e.topic || "",
+        highlights: [],
+        distinctions: e.distinctions || []
+      };
+    });
+
+    return [...work, ...edu].sort((a, b) => b.sortKey - a.sortKey);
+  };
+
+  const ViewProfile = async (query = {}) => {
     const p = State.data?.profile || {};
+    const timeline = cvTimeline(p);
+    const skillLabel = (k) => ResumeExport.SKILL_LABELS[k] || k.replace(/_/g, " ");
+    const groups = [...Object.entries(p.tech_stack || {}), ...Object.entries(p.skills || {})].filter(([, v]) => v?.length);
+    let filter = CV_FILTERS[query.filter] ? query.filter : "all";
+
     Outlet.innerHTML = `
       <section class="section-space fade-in">
         <div class="card">
-          <h2 class="section-title">Profil</h2>
-          <p class="section-subtitle">${p.summary || ""}</p>
-          <div class="mt"></div>
-          <div class="cards-grid">
-            <article class="card">
-              <h3>Schwerpunkte</h3>
-              <ul class="bullets">
-                ${(p.skills?.clinical || []).map(s => `<li>${s}</li>`).join("")}
-              </ul>
-            </article>
-            <article class="card">
-              <h3>Technik/IT</h3>
-              <ul class="bullets">
-                ${(p.skills?.technical || []).map(s => `<li>${s}</li>`).join("")}
-              </ul>
-            </article>
-            <article class="card">
-              <h3>Leitung & Forschung</h3>
-              <ul class="bullets">
-                ${(p.skills?.leadership || []).map(s => `<li>${s}</li>`).join("")}
-                ${(p.skills?.research || []).map(s => `<li>${s}</li>`).join("")}
-              </ul>
-            </article>
+          <h2 class="section-title">${esc(p.name || "Profil")}</h2>
+          <p><strong>${esc(p.title || "")}</strong>${p.location ? ` · ${esc(p.location)}` : ""}</p>
+          <p class="section-subtitle mt">${esc(p.summary || "")}</p>
+          <div class="cv-toolbar mt">
+            <div class="filters segmented" role="tablist" aria-label="Profil filtern">
+              ${Object.entries(CV_FILTERS).map(([k, label]) => `<button class="btn--sm" data-filter="${k}" aria-selected="${k === filter}">${label}</button>`).join("")}
+            </div>
+            <button id="cvToggleAll" type="button" class="btn--ghost btn--sm">Alle zuklappen</button>
+          </div>
+        </div>
+
+        <details class="card mt cv-section" data-section="timeline" open>
+          <summary><h3>Werdegang</h3> <span class="muted small">${timeline.length} Stationen</span></summary>
+          ${timeline.length ? `
+            <ol class="cv-timeline mt">
+              ${timeline.map(t => `
+                <li class="cv-item cv-item--${t.kind}${t.current ? " is-current" : ""}" data-kind="${t.kind}">
+                  <div class="cv-item__when">
+                    <strong>${esc(t.period)}</strong>
+                    ${t.duration ? `<span class="muted small">${t.duration}</span>` : ""}
+                  </div>
+                  <div class="cv-item__body">
+                    <h4>${esc(t.title)} <span class="chip">${t.kind === "experience" ? "Beruf" : "Ausbildung"}</span></h4>
+                    <p class="muted">${esc(t.org)}</p>
+                    ${t.topic ? `<p class="small">${esc(t.topic)}</p>` : ""}
+                    ${t.distinctions.length ? `<div class="cv-badges">${t.distinctions.map(d => `<span class="badge">${esc(d)}</span>`).join("")}</div>` : ""}
+                    ${t.highlights.length ? `<ul class="bullets small">${t.highlights.map(h => `<li>${esc(h)}</li>`).join("")}</ul>` : ""}
+                  </div>
+                </li>
+              `).join("")}
+            </ol>
+          ` : `<p class="muted mt">Keine Angaben zu Ausbildung oder Berufserfahrung.</p>`}
+        </details>
+
+        <details class="card mt cv-section" data-section="tech" open>
+          <summary><h3>Technik &amp; Schwerpunkte</h3> <span class="muted small">${groups.reduce((a, [, v]) => a + v.length, 0)} Einträge</span></summary>
+          ${groups.map(([k, v]) => `
+            <div class="cv-group mt">
+              <h4>${esc(skillLabel(k))}</h4>
+              <div class="cv-chips">${v.map(x => `<span class="chip">${esc(x)}</span>`).join("")}</div>
+            </div>
+          `).join("") || `<p class="muted mt">Keine Angaben.</p>`}
+        </details>
+
+        <details class="card mt cv-section" data-section="interests" open>
+          <summary><h3>Interessen</h3> <span class="muted small">${(p.interests || []).length} Einträge</span></summary>
+          <div class="cv-chips mt">${(p.interests || []).map(x => `<span class="chip">${esc(x)}</span>`).join("") || `<span class="muted">Keine Angaben.</span>`}</div>
+        </details>
+
+        <div class="card mt" id="resumeCard">
+          <h3 class="section-title">Lebenslauf exportieren</h3>
+          <p class="muted">Profil als JSON Resume oder Europass-Lebenslauf für Jobportale und Bewerbungssysteme. Der Zuordnungsbericht zeigt, welche Angaben nicht oder nur als Freitext übernommen werden.</p>
+          <div class="resume-export mt">
+            ${Object.entries(RESUME_FORMATS).map(([key, f]) => `<button type="button" class="btn--outline btn--sm" data-resume="${key}">${f.label}</button>`).join("")}
+          </div>
+          <div class="filters segmented mt" role="tablist" aria-label="Zuordnungsbericht">
+            <button class="btn--sm" data-report="jsonresume" aria-selected="true">Bericht JSON Resume</button>
+            <button class="btn--sm" data-report="europass" aria-selected="false">Bericht Europass</button>
+          </div>
+          <div class="table-wrapper mt">
+            <table class="table resume-report">
+              <thead><tr><th>Feld (careers.json)</th><th>Ziel</th><th>Status</th><th>Hinweis</th></tr></thead>
+              <tbody id="resumeReport"></tbody>
+            </table>
           </div>
         </div>
       </section>
     `;
+
+    const renderReport = (kind) => {
+      const { report } = RESUME_FORMATS[kind === "europass" ? "europass-xml" : "jsonresume"].build(p);
+      $$("[data-report]").forEach(b => b.setAttribute("aria-selected", String(b.dataset.report === kind)));
+      $("#resumeReport").innerHTML = report.map(r => `
+        <tr>
+          <td><code>${esc(r.field)}</code></td>
+          <td><code>${esc(r.target)}</code></td>
+          <td><span class="report-status report-status--${r.status}">${RESUME_STATUS[r.status] || r.status}</span></td>
+          <td>${esc(r.note)}</td>
+        </tr>
+      `).join("");
+    };
+    on($("#resumeCard"), "click", (e) => {
+      const dl = e.target.closest("[data-resume]");
+      const tab = e.target.closest("[data-report]");
+      if (dl) {
+        const { report } = exportResume(dl.dataset.resume);
+        renderReport(dl.dataset.resume === "jsonresume" ? "jsonresume" : "europass");
+        const gaps = report.filter(r => r.status !== "ok").length;
+        if (gaps) notifier.open({ message: `${gaps} Felder nicht oder nur teilweise übernommen – siehe Zuordnungsbericht.` });
+      } else if (tab) {
+        renderReport(tab.dataset.report);
+      }
+    });
+    renderReport("jsonresume");
+
+    const applyFilter = () => {
+      const inTimeline = ["all", "experience", "education"].includes(filter);
+      $$("[data-filter]").forEach(b => b.setAttribute("aria-selected", String(b.dataset.filter === filter)));
+      $$(".cv-section").forEach(sec => {
+        const k = sec.dataset.section;
+        sec.hidden = !(filter === "all" || k === filter || (k === "timeline" && inTimeline));
+        if (!sec.hidden) sec.open = true;
+      });
+      $$(".cv-item").forEach(li => { li.hidden = filter !== "all" && li.dataset.kind !== filter; });
+      $("#cvToggleAll").textContent = "Alle zuklappen";
+      Router.replaceQuery(filter === "all" ? {} : { filter });
+    };
+    $$("[data-filter]").forEach(b => on(b, "click", () => {
+      filter = b.dataset.filter;
+      applyFilter();
+    }));
+    on($("#cvToggleAll"), "click", () => {
+      const sections = $$(".cv-section").filter(sec => !sec.hidden);
+      const open = !sections.some(sec => sec.open);
+      sections.forEach(sec => { sec.open = open; });
+      $("#cvToggleAll").textContent = open ? "Alle zuklappen" : "Alle aufklappen";
+    });
+    applyFilter();
+  };
+
+  // Lebenslauf-Export (JSON Resume / Europass) – Downloads & Bericht
+  const RESUME_FORMATS = {
+    jsonresume: {
+      label: "JSON Resume (resume.json)",
+      build: (p) => {
+        const { resume, report } = ResumeExport.toJSONResume(p, { generatedAt: State.data?.meta?.generated_at });
+        return { content: JSON.stringify(resume, null, 2), filename: "resume.json", type: "application/json;charset=utf-8", report };
+      }
+    },
+    "europass-xml": {
+      label: "Europass (XML)",
+      build: (p) => {
+        const { xml, report } = ResumeExport.toEuropassXML(p, { generatedAt: State.data?.meta?.generated_at });
+        return { content: xml, filename: "europass-cv.xml", type: "application/xml;charset=utf-8", report };
+      }
+    },
+    "europass-json": {
+      label: "Europass (JSON)",
+      build: (p) => {
+        const { europass, report } = ResumeExport.toEuropassJSON(p, { generatedAt: State.data?.meta?.generated_at });
+        return { content: JSON.stringify(europass, null, 2), filename: "europass-cv.json", type: "application/json;charset=utf-8", report };
+      }
+    }
+  };
+  const RESUME_STATUS = { ok: "übernommen", partial: "teilweise", missing: "fehlt", unmapped: "nicht abbildbar" };
+
+  const exportResume = (format) => {
+    const out = RESUME_FORMATS[format].build(State.data?.profile || {});
+    downloadFile(out.content, out.filename, out.type);
+    notifier.success(`${RESUME_FORMATS[format].label} erstellt.`);
+    return out;
   };
 
   // Tracks (Explorer)
-  const ViewTracks = async () => {
+  // Pfade & Positionen: #/tracks, #/tracks/:id (Detail-Dialog), #/tracks/:id/positions/:pid (Position im Dialog)
+  const trackSlug = (t) => t.slug || t.id;
+  const positionsOf = (t) => (Array.isArray(t.positions) ? t.positions : (t.employers?.flatMap(e => e.roles?.map(r => ({ ...r, company: e.name }))) || []));
+  const findTrack = (id) => (State.data?.tracks || []).find(t => trackSlug(t) === id || t.id === id);
+
+  const openDialog = (dlg) => {
+    if (!dlg || dlg.open) return;
+    if (supportsDialog && typeof dlg.showModal === "function") dlg.showModal();
+    else dlg.setAttribute("open", "");
+  };
+  const closeDialog = (dlg) => {
+    if (!dlg?.open) return;
+    if (typeof dlg.close === "function") return dlg.close();
+    dlg.removeAttribute("open");
+    dlg.dispatchEvent(new Event("close"));
+  };
+
+  // Unbekannte ID in #/tracks/:id[/positions/:pid] → Hinweis statt Liste
+  const trackNotFound = (params) => {
+    const t = findTrack(params.id);
+    if (!t) return notFoundBlock("Pfad nicht gefunden", `Zu „${esc(params.id)}“ gibt es keinen Karrierepfad.`, { route: "tracks", label: "Alle Karrierepfade" });
+    if (params.pid && !positionsOf(t).some(p => p.id === params.pid)) {
+      return notFoundBlock("Position nicht gefunden", `„${esc(t.title)}“ enthält keine Position „${esc(params.pid)}“.`, { route: `tracks/${trackSlug(t)}`, label: `Zu „${esc(t.title)}“` });
+    }
+    return null;
+  };
+
+  // Detail-Dialog zum Routen-Zustand öffnen/schließen (auch bei Zurück/Vor)
+  let detailPushed = false; // Detail per Klick geöffnet → Schließen = history.back()
+  const syncTrackDetail = (params = {}) => {
+    $$("#trackDialogs .modal").forEach(dlg => { if (dlg.dataset.slug !== params.id) closeDialog(dlg); });
+    $$("#trackDialogs .position.is-target").forEach(el => el.classList.remove("is-target"));
+    if (!params.id) {
+      detailPushed = false;
+      return;
+    }
+    const dlg = $$("#trackDialogs .modal").find(d => d.dataset.slug === params.id);
+    openDialog(dlg);
+    const target = params.pid ? $$(".position", dlg).find(el => el.dataset.pid === params.pid) : null;
+    if (target) {
+      target.classList.add("is-target");
+      target.scrollIntoView?.({ block: "start" });
+      target.focus({ preventScroll: true });
+    }
+  };
+
+  const leaveTrackDetail = () => {
+    if (!State.params.id) return;
+    if (detailPushed) history.back();
+    else Router.replace("tracks", State.query);
+  };
+
+  // Facetten je Pfad aus den Positionen: Arbeitsmodell, Anstellungsart, Wochenstunden, normalisierte Vergütung
+  const WORK_MODELS = { remote: "Remote", hybrid: "Hybrid", onsite: "Vor Ort" };
+  const EMPLOYMENT_TYPES = { tariff: "Tarif", employed: "Angestellt", freelance: "Selbstständig/Honorar" };
+  const HOUR_BUCKETS = {
+    part: { label: "≤ 20 h", test: (h) => h <= 20 },
+    reduced: { label: "21–39 h", test: (h) => h > 20 && h < 40 },
+    full: { label: "≥ 40 h", test: (h) => h >= 40 }
+  };
+  const TRACK_SORTS = { relevance: "Relevanz", pay: "Vergütung (typisch)", title: "Titel A–Z", positions: "Anzahl Positionen" };
+
+  const workModelOf = (p) => {
+    const txt = [p.model, p.location, p.remote].filter(Boolean).join(" ");
+    const remote = /remote|home-office/i.test(txt);
+    const onsite = /on-?site|vor ort|travel/i.test(txt);
+    if (/hybrid/i.test(txt) || (remote && onsite)) return "hybrid";
+    return remote ? "remote" : "onsite";
+  };
+  const employmentOf = (p) => {
+    const txt = [p.type, p.contract].filter(Boolean).join(" ");
+    const basis = compOf(p)?.basis;
+    const out = new Set();
+    if (/tarif|tv-ärzte|besoldung|beamt/i.test(txt) || basis === "tarif") out.add("tariff");
+    else if (/angestellt/i.test(txt)) out.add("employed");
+    if (/contractor|honorar|freelance|partner/i.test(txt) || p.compensation?.contractor_hourly_range || p.compensation?.day_rate_range) out.add("freelance");
+    return [...out];
+  };
+  const trackFacets = (t) => {
+    const positions = positionsOf(t);
+    const hours = positions.map(p => Number(p.weekly_hours)).filter(h => h > 0);
+    return {
+      tags: new Set(t.tags || []),
+      model: new Set(positions.map(workModelOf)),
+      type: new Set(positions.flatMap(employmentOf)),
+      hours: new Set(Object.keys(HOUR_BUCKETS).filter(k => hours.some(HOUR_BUCKETS[k].test))),
+      pay: Compensation.aggregate(positions, loadCompAssumptions()),
+      positions: positions.length
+    };
+  };
+
+  // Filterzustand ↔ URL-Query (#/tracks?q=…&tags=Remote,Klinik&mode=and&model=remote&pay=80000-150000&sort=pay)
+  const LIST_FACETS = ["tags", "model", "type", "hours"];
+  const trackFilterFromQuery = (q = {}) => {
+    const list = (v) => String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+    const [lo, hi] = String(q.pay || "").split("-").map(Number);
+    return {
+      q: q.q || "",
+      tags: list(q.tags),
+      mode: q.mode === "and" ? "and" : "or",
+      model: list(q.model).filter(k => k in WORK_MODELS),
+      type: list(q.type).filter(k => k in EMPLOYMENT_TYPES),
+      hours: list(q.hours).filter(k => k in HOUR_BUCKETS),
+      pay: Number.isFinite(lo) && Number.isFinite(hi) && q.pay ? [lo, hi] : null,
+      sort: q.sort in TRACK_SORTS ? q.sort : "relevance"
+    };
+  };
+  const trackFilterToQuery = (f) => Object.fromEntries([
+    ["q", f.q],
+    ...LIST_FACETS.map(k => [k, f[k].join(",")]),
+    ["mode", f.mode === "and" ? "and" : ""],
+    ["pay", f.pay ? f.pay.join("-") : ""],
+    ["sort", f.sort === "relevance" ? "" : f.sort]
+  ].filter(([, v]) => v));
+  const trackFilterKey = (query) => JSON.stringify(trackFilterToQuery(trackFilterFromQuery(query)));
+  let trackListKey = ""; // zuletzt angewendeter Filter (Zurück/Vor mit anderem Filter → Neuaufbau)
+
+  const ViewTracks = async (query = {}, params = {}) => {
     const tracks = State.data?.tracks || [];
-    const allTags = new Set();
-    tracks.forEach(t => (t.tags || []).forEach(tag => allTags.add(tag)));
-    const tags = Array.from(allTags);
+    if (params.id) {
+      const missing = trackNotFound(params);
+      if (missing) {
+        Outlet.innerHTML = missing;
+        return;
+      }
+    }
+    const facets = new Map(tracks.map(t => [t, trackFacets(t)]));
+    const tags = [...new Set(tracks.flatMap(t => t.tags || []))];
+    const pays = [...facets.values()].map(f => f.pay).filter(Boolean);
+    const payBounds = pays.length
+      ? [Math.floor(Math.min(...pays.map(x => x.min)) / 10000) * 10000, Math.ceil(Math.max(...pays.map(x => x.max)) / 10000) * 10000]
+      : [0, 0];
+    const filter = trackFilterFromQuery(query);
+
+    const chip = (group, key, label) => `
+      <label class="facet-chip">
+        <input type="checkbox" data-facet="${group}" value="${esc(key)}"${filter[group].includes(key) ? " checked" : ""} />
+        <span>${esc(label)}</span> <span class="facet-count" data-count="${group}:${esc(key)}"></span>
+      </label>
+    `;
+    const group = (name, title, options, extra = "") => `
+      <fieldset class="facet-group">
+        <legend>${title}${extra}</legend>
+        <div class="facet-options">${options.map(([key, label]) => chip(name, key, label)).join("")}</div>
+      </fieldset>
+    `;
 
     Outlet.innerHTML = `
       <section class="section-space fade-in">
         <div class="tracks-controls">
           <div class="search">
-            <input id="trackSearch" type="search" placeholder="Suchen (z. B. 'Teleradiologie', 'Siemens', 'Remote')" aria-label="Karrierepfade durchsuchen" />
-          </div>
-          <div class="filters segmented" role="tablist" aria-label="Filter">
-            <button class="btn--sm" data-filter="*" aria-selected="true">Alle</button>
-            ${tags.map(t => `<button class="btn--sm" data-filter="${t}" aria-selected="false">${t}</button>`).join("")}
+            <input id="trackSearch" type="search" value="${esc(filter.q)}" placeholder="Suchen (z. B. 'Teleradiologie', 'Siemens', 'Remote')" aria-label="Karrierepfade durchsuchen" />
           </div>
+          <label class="tracks-sort">Sortieren
+            <select id="trackSort">
+              ${Object.entries(TRACK_SORTS).map(([k, label]) => `<option value="${k}"${filter.sort === k ? " selected" : ""}>${label}</option>`).join("")}
+            </select>
+          </label>
         </div>
-        <div id="tracksGrid" class="cards-grid"></div>
+        <details class="facets card mt" id="trackFacets" open>
+          <summary><strong>Filter</strong> <span class="muted" id="trackCount"></span></summary>
+          <div class="facets__grid mt">
+            ${group("tags", "Tags", tags.map(t => [t, t]), `
+              <span class="facet-mode segmented" role="tablist" aria-label="Tags verknüpfen">
+                <button type="button" class="btn--sm" data-mode="or" aria-selected="${filter.mode === "or"}">ODER</button>
+                <button type="button" class="btn--sm" data-mode="and" aria-selected="${filter.mode === "and"}">UND</button>
+              </span>`)}
+            ${group("model", "Arbeitsmodell", Object.entries(WORK_MODELS))}
+            ${group("type", "Anstellung", Object.entries(EMPLOYMENT_TYPES))}
+            ${group("hours", "Wochenstunden", Object.entries(HOUR_BUCKETS).map(([k, b]) => [k, b.label]))}
+            <fieldset class="facet-group facet-pay">
+              <legend>Jahresbrutto (normalisiert)</legend>
+              <label>von <input type="range" id="payMin" min="${payBounds[0]}" max="${payBounds[1]}" step="5000" value="${filter.pay?.[0] ?? payBounds[0]}" /></label>
+              <label>bis <input type="range" id="payMax" min="${payBounds[0]}" max="${payBounds[1]}" step="5000" value="${filter.pay?.[1] ?? payBounds[1]}" /></label>
+              <output id="payOut" class="muted"></output>
+            </fieldset>
+          </div>
+          <div class="facets__actions">
+            <button type="button" class="btn--outline btn--sm" id="trackClear">Alle Filter zurücksetzen</button>
+          </div>
+        </details>
+        <div id="tracksGrid" class="cards-grid mt"></div>
+        <div id="trackDialogs">${tracks.map(t => dialogForTrack(t, trackFilterToQuery(filter))).join("")}</div>
       </section>
     `;
 
     const grid = $("#tracksGrid");
-    const render = (list) => {
-      grid.innerHTML = list.map(cardForTrack).join("");
-      bindCardEvents();
+    const input = $("#trackSearch");
+    const fuse = State.searchIndex?.tracksFuse || null;
+
+    // Treffer der Freitextsuche in Relevanz-Reihenfolge (ohne Suche: Datenreihenfolge)
+    const searchHits = () => {
+      if (!filter.q) return tracks;
+      if (fuse) return fuse.search(filter.q).map(r => r.item);
+      const lower = filter.q.toLowerCase();
+      return tracks.filter(t => JSON.stringify(t).toLowerCase().includes(lower));
+    };
+    const payActive = () => filter.pay && (filter.pay[0] > payBounds[0] || filter.pay[1] < payBounds[1]);
+    const matches = (t, except) => {
+      const f = facets.get(t);
+      if (except !== "tags" && filter.tags.length) {
+        const has = filter.tags.map(tag => f.tags.has(tag));
+        if (filter.mode === "and" ? has.includes(false) : !has.includes(true)) return false;
+      }
+      if (["model", "type", "hours"].some(k => except !== k && filter[k].length && !filter[k].some(v => f[k].has(v)))) return false;
+      if (except !== "pay" && payActive() && !(f.pay && f.pay.max >= filter.pay[0] && f.pay.min <= filter.pay[1])) return false;
+      return true;
+    };
+    const SORTERS = {
+      pay: (a, b) => (facets.get(b).pay?.typical ?? -1) - (facets.get(a).pay?.typical ?? -1),
+      title: (a, b) => a.title.localeCompare(b.title, "de"),
+      positions: (a, b) => facets.get(b).positions - facets.get(a).positions
     };
-    render(tracks);
 
-    // Filters
-    $$(".filters button").forEach(btn => {
-      on(btn, "click", () => {
-        $$(".filters button").forEach(b => b.setAttribute("aria-selected", "false"));
-        btn.setAttribute("aria-selected", "true");
-        const f = btn.dataset.filter;
-        if (f === "*") render(tracks);
-        else render(tracks.filter(t => (t.tags || []).includes(f)));
+    const update = () => {
+      const hits = searchHits();
+      const list = hits.filter(t => matches(t));
+      if (SORTERS[filter.sort]) list.sort(SORTERS[filter.sort]);
+      const linkQuery = trackFilterToQuery(filter);
+      grid.innerHTML = list.length
+        ? list.map(t => cardForTrack(t, linkQuery)).join("")
+        : `<div class="card"><p class="muted">Keine Pfade für diese Filter.</p><button type="button" class="btn--outline btn--sm" data-clear>Filter zurücksetzen</button></div>`;
+      bindCardEvents(grid);
+
+      // Zähler: Treffer je Option unter allen übrigen Filtern (Tags im UND-Modus inkl. bereits gewählter)
+      $$("[data-count]").forEach(el => {
+        const [name, key] = el.dataset.count.split(":");
+        const n = hits.filter(t => matches(t, name) && facets.get(t)[name].has(key) && (name !== "tags" || filter.mode !== "and" || filter.tags.every(x => facets.get(t).tags.has(x)))).length;
+        el.textContent = `(${n})`;
+        el.closest(".facet-chip").classList.toggle("is-empty", !n);
       });
-    });
+      $("#trackCount").textContent = `– ${list.length} von ${tracks.length} Pfaden`;
+      $("#payOut").textContent = `${fmtYear($("#payMin").value)} – ${fmtYear($("#payMax").value)}`;
+      $$(".facet-mode button").forEach(b => b.setAttribute("aria-selected", String(b.dataset.mode === filter.mode)));
+      // Positions-Direktlinks behalten den Filter (sonst baut update die Liste ungefiltert neu)
+      $$(".position__link").forEach(a => a.setAttribute("href", Router.buildHash(a.dataset.route, linkQuery)));
+      trackListKey = JSON.stringify(linkQuery);
+      if (State.route === "tracks") Router.replaceQuery(linkQuery);
+    };
 
-    // Search
-    const input = $("#trackSearch");
-    const fuse = State.searchIndex?.tracksFuse || null;
+    const clearAll = () => {
+      Object.assign(filter, trackFilterFromQuery({}));
+      input.value = "";
+      $$("[data-facet]").forEach(cb => { cb.checked = false; });
+      $("#payMin").value = payBounds[0];
+      $("#payMax").value = payBounds[1];
+      $("#trackSort").value = "relevance";
+      update();
+    };
+
+    on($("#trackFacets"), "change", (e) => {
+      const cb = e.target.closest("[data-facet]");
+      if (!cb) return;
+      const list = filter[cb.dataset.facet];
+      filter[cb.dataset.facet] = cb.checked ? [...list, cb.value] : list.filter(v => v !== cb.value);
+      update();
+    });
+    on($("#trackFacets"), "input", (e) => {
+      if (!["payMin", "payMax"].includes(e.target.id)) return;
+      let lo = Number($("#payMin").value);
+      let hi = Number($("#payMax").value);
+      if (lo > hi) [lo, hi] = e.target.id === "payMin" ? [lo, lo] : [hi, hi];
+      $("#payMin").value = lo;
+      $("#payMax").value = hi;
+      filter.pay = [lo, hi];
+      if (!payActive()) filter.pay = null;
+      update();
+    });
+    on($("#trackFacets"), "click", (e) => {
+      const b = e.target.closest("[data-mode]");
+      if (!b) return;
+      filter.mode = b.dataset.mode;
+      update();
+    });
+    on($("#trackClear"), "click", clearAll);
+    on(grid, "click", (e) => { if (e.target.closest("[data-clear]")) clearAll(); });
+    on($("#trackSort"), "change", (e) => {
+      filter.sort = e.target.value;
+      update();
+    });
     on(input, "input", () => {
-      const q = input.value.trim();
-      if (!q) return render(tracks);
-      if (fuse) {
-        const res = fuse.search(q).map(r => r.item);
-        render(res);
-      } else {
-        const lower = q.toLowerCase();
-        render(tracks.filter(t => JSON.stringify(t).toLowerCase().includes(lower)));
-      }
+      filter.q = input.value.trim();
+      update();
     });
+
+    update();
+    bindDialogEvents($("#trackDialogs"));
+    detailPushed = false;
+    syncTrackDetail(params);
+  };
+
+  // Detail ↔ Liste ohne Neuaufbau (Filter und Suche bleiben erhalten)
+  ViewTracks.update = (query, params) => {
+    if (!$("#tracksGrid") || (params.id && trackNotFound(params)) || trackFilterKey(query) !== trackListKey) return false;
+    syncTrackDetail(params);
+    return true;
   };
 
-  const cardForTrack = (t) => {
-    const slug = t.slug || t.id || Math.random().toString(36).slice(2);
+  const cardForTrack = (t, query = {}) => {
+    const slug = trackSlug(t);
     const tagsHtml = (t.tags || []).map(x => `<span class="tag">${x}</span>`).join("");
     const badges = (t.badges || []).map(x => `<span class="badge">${x}</span>`).join("");
     const selected = State.selectedCompare.has(slug);
-    const positions = Array.isArray(t.positions) ? t.positions : (t.employers?.flatMap(e => e.roles?.map(r => ({ ...r, company: e.name }))) || []);
+    const span = Compensation.aggregate(positionsOf(t), loadCompAssumptions());
+    const other = Compensation.aggregateOther(positionsOf(t), loadCompAssumptions());
     return `
       <article class="card track" data-slug="${slug}">
         <header class="card__header">
@@ -569,13 +1443,21 @@
           ${t.summary ? `<p>${t.summary}</p>` : ""}
           ${badges ? `<div class="badges">${badges}</div>` : ""}
           ${t.key_points ? `<ul class="bullets">${t.key_points.map(li => `<li>${li}</li>`).join("")}</ul>` : ""}
+          ${span ? `<p class="card__comp"><strong>Jahresbrutto:</strong> ${fmtCompSpan(span)} <span class="muted">(${span.bases.join(", ")})</span></p>` : ""}
+          ${other.map(o => `<p class="card__comp"><strong>${o.kind}:</strong> ${fmtCompSpan(o)} <span class="muted">(${o.basisLabel}, nicht mit Jahresbrutto vergleichbar)</span></p>`).join("")}
         </div>
         <footer class="card__footer">
-          <button class="btn--primary more">Mehr Details</button>
+          <a class="btn--primary more" href="${Router.buildHash(`tracks/${slug}`, query)}">Mehr Details</a>
         </footer>
       </article>
+    `;
+  };
 
-      <dialog class="modal" id="dlg_${slug}" aria-label="${t.title}">
+  const dialogForTrack = (t, query = {}) => {
+    const slug = trackSlug(t);
+    const positions = positionsOf(t);
+    return `
+      <dialog class="modal" id="dlg_${slug}" data-slug="${slug}" aria-label="${t.title}">
         <article class="modal-card">
           <header class="modal-header">
             <h3 class="modal-title">${t.title}</h3>
@@ -586,7 +1468,7 @@
             ${positions?.length ? `
               <h4 class="mt">Konkrete Positionen</h4>
               <div class="positions">
-                ${positions.map(renderPosition).join("")}
+                ${positions.map(p => renderPosition(p, slug, query)).join("")}
               </div>
             ` : ""}
             ${renderSources(t.sources || [])}
@@ -600,16 +1482,34 @@
     `;
   };
 
-  const renderPosition = (p) => {
-    const sal = [
-      p.salary_min ? fmtCurr.format(p.salary_min) : null,
-      p.salary_max ? fmtCurr.format(p.salary_max) : null
-    ].filter(Boolean).join(" – ");
-    const comp = p.compensation_note ? p.compensation_note : sal ? sal : "n. a.";
+  // Vergütung: Angaben je Position normalisiert auf Jahreswerte (Annahmen aus localStorage);
+  // Honorar bleibt Umsatz vor Kosten, Partner Gewinnanteil – beides nie als Jahresbrutto ausweisen
+  const compOf = (p) => Compensation.normalize(p, loadCompAssumptions());
+  const fmtYear = (n) => `${fmtInt.format(n)} €`;
+  const fmtCompSpan = (n) => (n ? `${fmtYear(n.min)} – ${fmtYear(n.max)}${n.open ? "+" : ""} p. a.` : null);
+  const fmtCompOther = (list) => list.map(o => `${o.kind} (${o.basisLabel}): ${fmtCompSpan(o)}`);
+  const compDetails = (n) => `
+    <details class="comp-details">
+      <summary>typ. ${fmtYear(n.typical)} · ${n.basisLabel}</summary>
+      <ul class="bullets">
+        <li>${esc(n.formula)}</li>
+        ${n.alternatives.map(a => `<li>Alternativ – ${a.kind} (${a.basisLabel}): ${fmtCompSpan(a)} – ${esc(a.formula)}</li>`).join("")}
+      </ul>
+      ${n.assumptions.length ? `<p class="muted">Annahmen: ${n.assumptions.map(a => `${a.label} ${fmtInt.format(a.value)}`).join(" · ")}</p>` : ""}
+    </details>
+  `;
+
+  const renderPosition = (p, slug, query = {}) => {
+    const route = p.id && slug ? `tracks/${slug}/positions/${encodeURIComponent(p.id)}` : null;
+    const norm = compOf(p);
+    const comp = norm
+      ? `${norm.kind}: ${fmtCompSpan(norm)}${compDetails(norm)}`
+      : (p.compensation_note || "n. a.");
     return `
-      <section class="position">
+      <section class="position"${p.id ? ` data-pid="${esc(p.id)}" tabindex="-1"` : ""}>
         <header class="position__head">
           <h5>${p.title} <span class="muted">– ${p.company || p.employer || ""}${p.location ? ", " + p.location : ""}</span></h5>
+          ${route ? `<a class="link position__link" href="${Router.buildHash(route, query)}" data-route="${route}" title="Direktlink zur Position">#</a>` : ""}
         </header>
         <div class="position__grid">
           <div><strong>Vergütung:</strong> ${comp}</div>
@@ -634,33 +1534,36 @@
     `;
   };
 
-  const bindCardEvents = () => {
-    // Details (open dialog)
-    $$(".card.track .more").forEach(btn => {
-      on(btn, "click", () => {
-        const card = btn.closest(".card.track");
-        const slug = card?.dataset?.slug;
-        const dlg = $(`#dlg_${slug}`);
-        dlg?.showModal?.();
-      });
-    });
-    // Close dialog
-    $$(".modal .close").forEach(btn => {
-      on(btn, "click", (e) => {
-        const dlg = e.target.closest(".modal");
-        dlg?.close?.();
-      });
-    });
+  const bindCardEvents = (root) => {
+    // Details: Link auf #/tracks/:id (Router öffnet den Dialog)
+    $$(".card.track .more", root).forEach(a => on(a, "click", () => { detailPushed = true; }));
     // Compare (card header)
-    $$(".card.track .add-compare").forEach(btn => {
+    $$(".card.track .add-compare", root).forEach(btn => {
       on(btn, "click", (e) => {
         const card = e.target.closest(".card.track");
         const slug = card?.dataset?.slug;
         toggleCompare(slug, btn);
       });
     });
+  };
+
+  const bindDialogEvents = (root) => {
+    // Close dialog (Button, Esc) → zurück zu #/tracks
+    $$(".modal .close", root).forEach(btn => {
+      on(btn, "click", (e) => closeDialog(e.target.closest(".modal")));
+    });
+    $$(".modal", root).forEach(dlg => {
+      on(dlg, "close", () => { if (State.params.id === dlg.dataset.slug) leaveTrackDetail(); });
+    });
+    // Positions-Direktlinks innerhalb des offenen Dialogs ersetzen den Eintrag statt ihn zu stapeln
+    $$(".position__link", root).forEach(a => {
+      on(a, "click", (e) => {
+        e.preventDefault();
+        Router.replace(a.getAttribute("href").replace(/^#\//, ""));
+      });
+    });
     // Compare (modal footer)
-    $$(".modal .add-compare").forEach(btn => {
+    $$(".modal .add-compare", root).forEach(btn => {
       on(btn, "click", () => {
         const slug = btn.dataset.slug;
         toggleCompare(slug, btn);
@@ -687,8 +1590,12 @@
   };
 
   // Calculator
-  const ViewCalculator = async () => {
+  // Eingaben seit der letzten Berechnung geändert (Rückfrage beim Verlassen, s. Routen in boot())
+  let calcDirty = false;
+
+  const ViewCalculator = async (query = {}) => {
     const idx = State.idx;
+    let land = loadLand();
 
     Outlet.innerHTML = `
       <section class="calc section-space fade-in">
@@ -706,6 +1613,13 @@
                 <label for="calcYear">Jahr</label>
                 <input id="calcYear" type="number" min="2022" max="2027" value="${new Date().getFullYear()}" />
               </div>
+              <div class="form-row">
+                <label for="calcLand">Bundesland (Feiertage)</label>
+                <select id="calcLand">
+                  ${Object.entries(Holidays.STATES).map(([code, name]) => `<option value="${code}"${code === land ? " selected" : ""}>${name}</option>`).join("")}
+                </select>
+              </div>
+              <div id="holidayInfo" class="holiday-info" aria-live="polite"></div>
               <div class="form-row">
                 <label for="calcEG">Entgeltgruppe</label>
                 <select id="calcEG">
@@ -720,16 +1634,67 @@
                 <select id="calcStufe"></select>
               </div>
 
+              <details class="mt" id="planBox">
+                <summary>Stufenplanung (§ 19/§ 20)</summary>
+                <div class="form-grid mt">
+                  <label for="planActive">EG/Stufe automatisch je Monat</label>
+                  <select id="planActive">
+                    <option value="nein" selected>nein</option>
+                    <option value="ja">ja</option>
+                  </select>
+
+                  <label for="planEG">Entgeltgruppe (Beginn)</label>
+                  <select id="planEG">
+                    <option>EG I</option>
+                    <option selected>EG II</option>
+                    <option>EG III</option>
+                    <option>EG IV</option>
+                  </select>
+
+                  <label for="planStufe">Stufe (Beginn)</label>
+                  <input id="planStufe" type="number" min="1" max="7" step="1" value="1" />
+
+                  <label for="planSince">Stufe erreicht seit</label>
+                  <input id="planSince" type="month" />
+                </div>
+                <div id="planChanges" class="plan-changes mt"></div>
+                <button id="planAddChange" type="button" class="btn--ghost btn--sm mt">+ EG-Wechsel (z. B. FA → OA)</button>
+                <ol id="planTimeline" class="plan-timeline mt"></ol>
+                <p class="muted">Aufstieg jeweils zu Beginn des Monats, in dem die Stufenlaufzeit vollendet ist. Bei EG-Wechsel beginnt die Laufzeit in der gewählten Stufe neu.</p>
+              </details>
+
+              <details class="mt" id="rosterBox">
+                <summary>Dienstplan importieren (CSV/iCal)</summary>
+                <div class="form-row mt">
+                  <label for="rosterFile">Datei</label>
+                  <input id="rosterFile" type="file" accept=".csv,.ics,.ical,text/csv,text/calendar" />
+                </div>
+                <p class="muted">CSV mit Spalten <code>Beginn;Ende;Typ</code> (oder <code>Datum;Von;Bis;Typ</code>), Zeiten als <code>05.09.2025 16:00</code> bzw. ISO. Typen: BD, RB, Wechselschicht (WS), Sonntagsarbeit (SO). Kalenderdateien (.ics) werden über den Terminbetreff zugeordnet.</p>
+                <div id="rosterResult" class="mt" hidden></div>
+              </details>
+
               <details class="mt" open>
                 <summary>Bereitschaftsdienst (BD)</summary>
                 <div class="form-grid">
-                  <label>BD-Stufe (Info)</label>
+                  <label for="bdLevel">BD-Stufe (Bewertung)</label>
                   <select id="bdLevel">
                     <option value="I">I</option>
                     <option value="II">II</option>
                     <option value="III" selected>III</option>
                   </select>
 
+                  <label for="bdPayMode">Abgeltung</label>
+                  <select id="bdPayMode">
+                    <option value="geld" selected>Geld</option>
+                    <option value="freizeit">Freizeitausgleich</option>
+                  </select>
+
+                  <label for="bdOptOut">Opt-out erklärt</label>
+                  <select id="bdOptOut">
+                    <option value="nein" selected>nein</option>
+                    <option value="ja">ja</option>
+                  </select>
+
                   <label>BD-Stunden gesamt</label>
                   <input id="bdHours" type="number" min="0" step="0.5" value="0" />
 
@@ -739,7 +1704,7 @@
                   <label>davon Feiertagsstunden</label>
                   <input id="bdHolidayHours" type="number" min="0" step="0.5" value="0" />
                 </div>
-                <p class="muted">BD-Vergütung je Stunde gemäß aktuellem Stand; Zuschläge: Nacht +15 %, Feiertag +25 %, ab 97. BD-Stunde +5 %/h.</p>
+                <p class="muted">BD wird je Stufe anteilig als Arbeitszeit bewertet (Sätze laut Tarifstand) und mit dem BD-Entgelt €/h vergütet oder in Freizeit ausgeglichen; Zuschläge: Nacht +15 %, Feiertag +25 %, ab 97. BD-Stunde +5 %/h (stets in Geld).</p>
               </details>
 
               <details class="mt" open>
@@ -782,6 +1747,12 @@
                   <label>Nachtarbeit in Wechselschicht (h)</label>
                   <input id="wsNachtHours" type="number" min="0" step="0.5" value="0" />
 
+                  <label for="nightHours">Nachtarbeit 21–6, außerhalb WS (h)</label>
+                  <input id="nightHours" type="number" min="0" step="0.5" value="0" />
+
+                  <label for="satHours">Samstag 13–21 Uhr (h)</label>
+                  <input id="satHours" type="number" min="0" step="0.5" value="0" />
+
                   <label>Sonntagsarbeit (h)</label>
                   <input id="sunHours" type="number" min="0" step="0.5" value="0" />
 
@@ -790,12 +1761,72 @@
 
                   <label>Feiertag mit Freizeitausgleich (h)</label>
                   <input id="holWithCompHours" type="number" min="0" step="0.5" value="0" />
+
+                  <label for="vorfestHours">Vorfesttage 24./31.12. ab 6 Uhr (h)</label>
+                  <input id="vorfestHours" type="number" min="0" step="0.5" value="0" />
+
+                  <label for="vorfest24Hours">davon 24.12. ab 14 Uhr (h)</label>
+                  <input id="vorfest24Hours" type="number" min="0" max="10" step="0.5" value="0" />
+
+                  <label for="vorfest31Hours">davon 31.12. ab 14 Uhr (h)</label>
+                  <input id="vorfest31Hours" type="number" min="0" max="10" step="0.5" value="0" />
+
+                  <label for="overtimeHours">Überstunden (h)</label>
+                  <input id="overtimeHours" type="number" min="0" step="0.5" value="0" />
                 </div>
-                <p class="muted">Prozentsätze auf Stundenentgelt der Stufe 3: Sonntag <strong>40 %</strong>, Feiertag <strong>135 %</strong> (ohne FA) / <strong>35 %</strong> (mit FA), Nacht <strong>15 %</strong>. Wechselschicht-Nacht zusätzlich fixer €/h.</p>
+                <p class="muted" id="para11Rates">Prozentsätze auf Stundenentgelt der Stufe 3 laut § 11-Tabelle des Tarifstands. Wechselschicht-Nacht zusätzlich fixer €/h.</p>
+              </details>
+
+              <details class="mt" id="netBox">
+                <summary>Netto (Steuer & Sozialversicherung)</summary>
+                <div class="form-grid">
+                  <label for="netStkl">Steuerklasse</label>
+                  <select id="netStkl">
+                    ${["I", "II", "III", "IV", "V", "VI"].map((k, i) => `<option value="${i + 1}">${k}</option>`).join("")}
+                  </select>
+
+                  <label for="netKinder">Kinderfreibeträge (Zähler)</label>
+                  <input id="netKinder" type="number" min="0" max="10" step="0.5" />
+
+                  <label for="netKirche">Kirchensteuer (9 %)</label>
+                  <select id="netKirche">
+                    <option value="nein">nein</option>
+                    <option value="ja">ja</option>
+                  </select>
+
+                  <label for="netKvZusatz">KV-Zusatzbeitrag (%)</label>
+                  <input id="netKvZusatz" type="number" min="0" max="6" step="0.1" />
+
+                  <label for="netPvKinder">Kinder (Pflegeversicherung)</label>
+                  <input id="netPvKinder" type="number" min="0" max="10" step="1" />
+
+                  <label for="netVersorgung">Altersversorgung</label>
+                  <select id="netVersorgung">
+                    <option value="aev">Ärzteversorgung (befreit von der RV)</option>
+                    <option value="drv">Gesetzliche Rentenversicherung</option>
+                  </select>
+
+                  <label for="netZvk">ZVK Arbeitnehmeranteil (%)</label>
+                  <input id="netZvk" type="number" min="0" max="10" step="0.01" />
+                </div>
+                <p class="muted">Lohnsteuer nach § 32a EStG (Tarif 2025/2026), Soli mit Freigrenze, KV/PV (Sachsen) mit Beitragsbemessungsgrenzen. Nacht-, Sonntags- und Feiertagszuschläge sind nach § 3b EStG bis zum Grundlohn-Deckel steuerfrei (50 €/h) bzw. beitragsfrei (25 €/h).</p>
               </details>
 
               <div class="form-row mt">
                 <button id="btnCalc" class="btn--primary">Berechnen</button>
+                <button id="btnCalcLink" type="button" class="btn--outline">Link kopieren</button>
+              </div>
+              <div class="form-row calc__export">
+                <span class="muted">Aufstellung:</span>
+                <button id="btnCalcCSV" type="button" class="btn--ghost btn--sm">CSV</button>
+                <button id="btnCalcJSON" type="button" class="btn--ghost btn--sm">JSON</button>
+                <button id="btnCalcStatement" type="button" class="btn--ghost btn--sm">Druckansicht</button>
+              </div>
+              <div class="scenario-save mt">
+                <label for="scenarioName" class="sr-only">Szenarioname</label>
+                <input id="scenarioName" type="text" maxlength="60" placeholder="Szenario benennen, z. B. „OA EG III/1“" />
+                <button id="btnScenarioSave" type="button" class="btn--outline">Als Szenario speichern</button>
+                <a href="#/scenarios" data-nav="scenarios" class="link" id="scenarioLink"></a>
               </div>
             </div>
           </div>
@@ -828,7 +1859,11 @@
                 </div>
                 <div class="result-details">
                   <div class="result-item"><span>BD-Basis (€/h)</span><span id="resBDHourly">–</span></div>
+                  <div class="result-item"><span>Bewertung als Arbeitszeit</span><span id="resBDValued">–</span></div>
+                  <div class="result-item"><span>Abgeltung</span><span id="resBDPay">–</span></div>
                   <div class="result-item"><span>Zuschläge Nacht/Feiertag/≥97h</span><span id="resBDZuschl">–</span></div>
+                  <div class="result-item"><span>Ø Wochenarbeitszeit inkl. BD</span><span id="resBDWeekly">–</span></div>
+                  <div class="result-item"><span>Stand (Entgelt / Bewertung)</span><span id="resBDVersion">–</span></div>
                 </div>
               </div>
 
@@ -842,7 +1877,7 @@
                 </div>
                 <div class="result-details">
                   <div class="result-item"><span>Arbeitszeit-Äquivalent</span><span id="resRBHoursEq">–</span></div>
-                  <div class="result-item"><span>Steuerfreie Zuschläge</span><span id="resRBTaxfree">–</span></div>
+                  <div class="result-item"><span>Zuschläge je Slot (davon steuerfrei)</span><span id="resRBTaxfree">–</span></div>
                 </div>
               </div>
 
@@ -856,18 +1891,62 @@
                 <div class="result-details">
                   <div class="result-item"><span>Schichtzulage</span><span id="resSchichtZul">–</span></div>
                   <div class="result-item"><span>WS-Nacht (€/h)</span><span id="resWsNacht">–</span></div>
+                  <div class="result-item"><span>Nacht / Samstag</span><span id="resPara11Night">–</span></div>
+                  <div class="result-item"><span>Sonntag / Feiertag / Vorfest</span><span id="resPara11Hol">–</span></div>
+                  <div class="result-item"><span>Überstunden</span><span id="resPara11Overtime">–</span></div>
                   <div class="result-item"><span>Zusatz § 11</span><span id="resPara11Sum">–</span></div>
+                  <div class="result-item"><span>Stand § 11-Tabelle</span><span id="resPara11Version">–</span></div>
                 </div>
               </div>
 
               <div class="result-card total">
                 <div class="result-card__header">
                   <div>
-                    <h4>Gesamt (brutto, Monat)</h4>
-                    <p class="muted">Summiert</p>
+                    <h4>Auszahlung gesamt (Monat)</h4>
+                    <p class="muted">Steuerpflichtig + steuerfrei</p>
                   </div>
                   <div class="result-amount" id="resTotal">–</div>
                 </div>
+                <div class="result-details">
+                  <div class="result-item"><span>Steuerpflichtiges Brutto</span><span id="resTaxable">–</span></div>
+                  <div class="result-item"><span>Steuerfreie Zuschläge (§ 3b EStG)</span><span id="resTaxfree">–</span></div>
+                </div>
+                <details class="mt">
+                  <summary>Herkunft der steuerfreien Anteile</summary>
+                  <div class="table-wrapper">
+                    <table class="table taxfree__table">
+                      <thead><tr><th>Zuschlag</th><th>Tabelle</th><th>Stunden</th><th>Satz</th><th>Zuschlag €</th><th>steuerfrei</th></tr></thead>
+                      <tbody id="resTaxfreeBody"></tbody>
+                    </table>
+                  </div>
+                  <p class="muted small" id="resTaxfreeNote"></p>
+                </details>
+              </div>
+
+              <div class="result-card">
+                <div class="result-card__header">
+                  <div>
+                    <h4>Netto (Monat)</h4>
+                    <p class="muted" id="resNetYear">Lohnsteuer & Sozialversicherung</p>
+                  </div>
+                  <div class="result-amount" id="resNet">–</div>
+                </div>
+                <div class="result-details">
+                  <div class="result-item"><span>Auszahlung brutto</span><span id="resNetGross">–</span></div>
+                  <div class="result-item"><span>davon steuerfrei (§ 3b EStG)</span><span id="resNetTaxFree">–</span></div>
+                  <div class="result-item"><span>Lohnsteuer</span><span id="resLSt">–</span></div>
+                  <div class="result-item"><span>Solidaritätszuschlag</span><span id="resSoli">–</span></div>
+                  <div class="result-item"><span>Kirchensteuer</span><span id="resKiSt">–</span></div>
+                  <div class="result-item"><span>Krankenversicherung</span><span id="resKV">–</span></div>
+                  <div class="result-item"><span>Pflegeversicherung</span><span id="resPV">–</span></div>
+                  <div class="result-item"><span id="resRVLabel">Ärzteversorgung</span><span id="resRV">–</span></div>
+                  <div class="result-item"><span>Arbeitslosenversicherung</span><span id="resAV">–</span></div>
+                  <div class="result-item"><span>ZVK (Arbeitnehmeranteil)</span><span id="resZVK">–</span></div>
+                </div>
+                <details class="mt">
+                  <summary>§ 3b: steuer- und beitragsfreie Anteile</summary>
+                  <ul id="res3b" class="bullets small"></ul>
+                </details>
               </div>
             </div>
 
@@ -877,14 +1956,46 @@
                 <ul class="bullets small">
                   <li><strong>Tabellenentgelt</strong> aus EG/Stufe je Tarifstand.</li>
                   <li><strong>Individuelles Stundenentgelt</strong> = Monatsentgelt / (52×Wochenstunden/12).</li>
-                  <li><strong>BD</strong>: Stunden × BD-Basis €/h; Zuschläge: Nacht +15 %, Feiertag +25 %, ab 97. Stunde +5 %/h.</li>
-                  <li><strong>RB</strong>: Σ (Slotstunden × Faktor%) = Arbeitszeit-Äquivalent; Vergütung = Äquivalent × indiv. Stundenentgelt; zzgl. steuerfreie Zuschläge pro Slot (% von RB-Euro).</li>
-                  <li><strong>§ 11</strong>: Sonntag 40 %, Feiertag 135 % (ohne FA) / 35 % (mit FA), Nacht 15 % – auf Stundenentgelt Stufe 3; WS-Nacht zusätzlich fixer €/h; Schichtzulage monatlich.</li>
+                  <li><strong>BD</strong>: Stunden × Bewertung der BD-Stufe (%) = bewertete Arbeitszeit; × BD-Basis €/h bei Abgeltung in Geld, sonst Freizeitausgleich in Stunden; Ø Woche = Wochenstunden + BD-Stunden × 12/52, Grenze 48 h bzw. 58 h mit Opt-out; Zuschläge: Nacht +15 %, Feiertag +25 %, ab 97. Stunde +5 %/h.</li>
+                  <li><strong>RB</strong>: Σ (Slotstunden × Faktor%) = Arbeitszeit-Äquivalent; Vergütung = Äquivalent × indiv. Stundenentgelt; zzgl. Zuschläge pro Slot (rb_taxfree-% von RB-Euro), steuerfrei bis Äquivalent × Grundlohn (max. 50 €/h) × Satz.</li>
+                  <li><strong>§ 3b EStG</strong>: steuerfrei je Zuschlag höchstens Stunden × Grundlohn (max. 50 €/h) × Satz aus para11_taxfree (Nacht 25 %, Sonntag 50 %, Feiertag 125 %, 24.12. ab 14 Uhr 150 %, 31.12. ab 14 Uhr 125 %; Vorfeststunden 6–14 Uhr steuerpflichtig). Einschränkung: 25./26.12. und 1.5. stehen nach § 3b Abs. 1 Nr. 4 EStG 150 % zu, werden hier aber wie alle Feiertage mit 125 % gerechnet (steuerfreier Anteil ggf. zu niedrig); Auszahlung = steuerpflichtiges Brutto + steuerfreie Anteile.</li>
+                  <li><strong>§ 11</strong>: Sätze aus der § 11-Tabelle je Tarifstand (Nacht, Samstag 13–21, Sonntag, Feiertag ohne/mit FA, 24./31.12., Überstunden) – auf Stundenentgelt Stufe 3; WS-Nacht zusätzlich fixer €/h; Schichtzulage monatlich.</li>
+                  <li><strong>Netto</strong>: Lohnsteuer (Jahreswert aus 12 × steuerpflichtigem Monatsbrutto, Vorsorgepauschale, Arbeitnehmer-Pauschbetrag) / 12; Soli & Kirchensteuer mit Kinderfreibeträgen; SV bis zur Beitragsbemessungsgrenze; § 3b-Anteile mindern steuer- bzw. beitragspflichtiges Entgelt.</li>
                 </ul>
               </details>
             </div>
           </div>
         </div>
+
+        <div class="panel mt projection">
+          <div class="projection__head">
+            <div>
+              <h3>Jahresprojektion</h3>
+              <p class="muted">Wiederholt das eingegebene Dienstmuster Monat für Monat ab dem gewählten Monat; Tarifstand, Tabelle und BD-Satz je Monat.</p>
+            </div>
+            <div class="projection__controls">
+              <label for="projMonths" class="sr-only">Zeitraum</label>
+              <select id="projMonths">
+                <option value="12" selected>12 Monate</option>
+                <option value="24">24 Monate</option>
+                <option value="36">36 Monate</option>
+              </select>
+              <button id="btnProject" class="btn--outline">Projektion berechnen</button>
+            </div>
+          </div>
+          <div id="projResult" class="mt" hidden>
+            <canvas id="projChart" aria-label="Projektion Monatsbrutto" role="img" height="280"></canvas>
+            <div class="table-wrapper mt">
+              <table class="table projection__table">
+                <thead>
+                  <tr><th>Monat</th><th>Feiertage</th><th>Tarifstand</th><th>Tabellenentgelt</th><th>BD</th><th>RB</th><th>§ 11</th><th>Gesamt</th></tr>
+                </thead>
+                <tbody id="projBody"></tbody>
+                <tfoot id="projFoot"></tfoot>
+              </table>
+            </div>
+          </div>
+        </div>
       </section>
     `;
 
@@ -899,9 +2010,9 @@
     const updateStufen = () => {
       const y = Number($("#calcYear").value);
       const m = Number($("#calcMonth").value);
-      const eg = egSel.value.replace(" ", "_");
-      const version = pickVersion(idx, y, m);
-      const arr = (idx.entgelttabellen[version] || {})[eg] || [];
+      const eg = Engine.normalizeEG(egSel.value);
+      const version = Engine.pickVersion(idx, y, m);
+      const arr = Engine.getTable(idx, version)[eg] || [];
       stufeSel.innerHTML = arr.map((_,i) => `<option value="${i+1}">${i+1}</option>`).join("");
       stufeSel.value = String(Math.min(arr.length || 1, 3)); // default 3 falls vorhanden
     };
@@ -910,112 +2021,216 @@
     on($("#calcYear"), "input", updateStufen);
     updateStufen();
 
-    // calc handler
-    const calc = () => {
+    // Stufenplanung (persistiert)
+    const plan = loadStufenplan();
+    const changeRow = (c = {}) => `
+      <div class="plan-change">
+        <input type="month" data-field="from" value="${esc(c.from || "")}" aria-label="EG-Wechsel ab" />
+        <select data-field="eg" aria-label="Neue Entgeltgruppe">
+          ${["EG I", "EG II", "EG III", "EG IV"].map(eg => `<option${Engine.normalizeEG(eg) === Engine.normalizeEG(c.eg || "EG III") ? " selected" : ""}>${eg}</option>`).join("")}
+        </select>
+        <input type="number" min="1" max="7" step="1" data-field="stufe" value="${Number(c.stufe) || 1}" aria-label="Stufe nach Wechsel" />
+        <button type="button" class="btn--ghost btn--xs plan-remove" aria-label="EG-Wechsel entfernen">✕</button>
+      </div>
+    `;
+    const applyPlan = (p) => {
+      $("#planActive").value = p.active ? "ja" : "nein";
+      $("#planEG").value = (p.eg || "EG_II").replace("_", " ");
+      $("#planStufe").value = String(p.stufe || 1);
+      $("#planSince").value = p.since || `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+      $("#planChanges").innerHTML = (p.changes || []).map(changeRow).join("");
+      if (p.active) $("#planBox").open = true;
+    };
+    applyPlan(plan);
+
+    const readPlan = () => ({
+      active: $("#planActive").value === "ja",
+      eg: Engine.normalizeEG($("#planEG").value),
+      stufe: Number($("#planStufe").value) || 1,
+      since: $("#planSince").value,
+      changes: $$("#planChanges .plan-change").map(row => ({
+        from: $("[data-field=from]", row).value,
+        eg: Engine.normalizeEG($("[data-field=eg]", row).value),
+        stufe: Number($("[data-field=stufe]", row).value) || 1
+      })).filter(c => c.from)
+    });
+
+    const planSegments = () => {
+      const p = readPlan();
+      return p.active ? Engine.planStufen(idx, p) : null;
+    };
+
+    const REASONS = { start: "Beginn", step: "Stufenaufstieg", eg: "EG-Wechsel" };
+    const syncPlan = () => {
+      const p = readPlan();
+      saveStufenplan(p);
+      const segments = Engine.planStufen(idx, p);
       const y = Number($("#calcYear").value);
       const m = Number($("#calcMonth").value);
-      const egHuman = $("#calcEG").value.trim();       // "EG II"
-      const eg = egHuman.replace(" ", "_");            // "EG_II"
-      const stufe = Number($("#calcStufe").value || 1);
-      const version = pickVersion(idx, y, m);
-
-      const weekly = idx.weeklyHours;
-      const baseMonthly = getBaseMonthly(idx, version, eg, stufe);
-      const baseHourlyIndiv = hourlyFromMonthly(baseMonthly, weekly);
-
-      const baseStufe3 = getBaseMonthly(idx, version, eg, 3) || baseMonthly;
-      const hourlyOnStufe3 = hourlyFromMonthly(baseStufe3, weekly);
-
-      // BD
-      const bdHours = parseDeNumber($("#bdHours").value);
-      const bdNightHours = clamp(parseDeNumber($("#bdNightHours").value), 0, bdHours);
-      const bdHolidayHours = clamp(parseDeNumber($("#bdHolidayHours").value), 0, Math.max(0, bdHours - bdNightHours));
-      const bdHourly = getBDHourly(idx, version, eg);
-      const bdBase = bdHours * bdHourly;
-      const bdNightPlus = bdNightHours * (bdHourly * 0.15);
-      const bdHolPlus = bdHolidayHours * (bdHourly * 0.25);
-      const extraHoursOver97 = Math.max(0, bdHours - 97);
-      const bdPlus97 = extraHoursOver97 * (bdHourly * 0.05);
-      const bdTotal = bdBase + bdNightPlus + bdHolPlus + bdPlus97;
-
-      // RB
-      const rbLevel = $("#rbLevel").value; // I/II/III
-      const rbSlots = [
-        ["wd_6_20", parseDeNumber($("#rb_wd_6_20").value)],
-        ["wd_4_6", parseDeNumber($("#rb_wd_4_6").value)],
-        ["wd_20_24", parseDeNumber($("#rb_wd_20_24").value)],
-        ["wd_0_4", parseDeNumber($("#rb_wd_0_4").value)],
-        ["sat", parseDeNumber($("#rb_sat").value)],
-        ["sun", parseDeNumber($("#rb_sun").value)],
-        ["hol", parseDeNumber($("#rb_hol").value)],
-      ];
+      const current = Engine.stufeAt(segments, y, m);
+      const currentSeg = segments.filter(x => x.from <= `${y}-${String(m).padStart(2, "0")}`).pop();
+      $("#planTimeline").innerHTML = segments.slice(0, 12).map(seg => {
+        const [sy, sm] = seg.from.split("-");
+        return `<li class="${seg === currentSeg ? "is-current" : ""}"><strong>${sm}/${sy}</strong> · ${seg.eg.replace("_", " ")} Stufe ${seg.stufe} <span class="muted">(${REASONS[seg.reason]})</span></li>`;
+      }).join("");
 
-      let rbHoursEq = 0;
-      let rbEuro = 0;
-      let rbTaxfree = 0;
-      for (const [slot, hrs] of rbSlots) {
-        if (!hrs) continue;
-        const f = idx.rbFactors?.[slot]?.[rbLevel] || 0; // %
-        const eq = hrs * (f / 100);
-        const euro = eq * baseHourlyIndiv;
-        const taxPct = (idx.rbTaxfree?.[slot] || 0) / 100;
-        const tax = euro * taxPct;
-        rbHoursEq += eq;
-        rbEuro += euro;
-        rbTaxfree += tax;
+      egSel.disabled = p.active;
+      stufeSel.disabled = p.active;
+      if (p.active && current) {
+        egSel.value = current.eg.replace("_", " ");
+        updateStufen();
+        stufeSel.value = String(current.stufe);
       }
+    };
+
+    on($("#planAddChange"), "click", () => {
+      $("#planChanges").insertAdjacentHTML("beforeend", changeRow());
+      syncPlan();
+    });
+    on($("#planChanges"), "click", (e) => {
+      const btn = e.target.closest(".plan-remove");
+      if (!btn) return;
+      btn.closest(".plan-change")?.remove();
+      syncPlan();
+    });
+    on($("#planBox"), "change", syncPlan);
+    on($("#calcMonth"), "change", syncPlan);
+    on($("#calcYear"), "input", syncPlan);
+    syncPlan();
 
-      // § 11 (außerhalb BD/RB)
-      const schichtDauerhaft = $("#schichtDauerhaft").value === "ja";
-      const wsNacht = parseDeNumber($("#wsNachtHours").value);
-      const sunH = parseDeNumber($("#sunHours").value);
-      const holNoCompH = parseDeNumber($("#holNoCompHours").value);
-      const holWithCompH = parseDeNumber($("#holWithCompHours").value);
+    // Formular → Engine-Eingabe
+    const readInput = () => calcInput(readCalcState());
+
+    // Feiertage im Monat & Plausibilität der Feiertagsstunden
+    const checkHolidays = () => {
+      const y = Number($("#calcYear").value);
+      const m = Number($("#calcMonth").value);
+      const list = Holidays.inMonth(y, m, land);
+      const n = list.length;
+      const fmtH = (h) => `${fmtInt.format(h)} h`;
+      const noHoliday = n ? "" : " (kein Feiertag)";
+      const checks = [
+        ["BD-Feiertagsstunden", parseInputNumber($("#bdHolidayHours").value), 24 * n, noHoliday],
+        ["RB Feiertag", parseInputNumber($("#rb_hol").value), 28 * n, noHoliday],
+        ["§ 11 Feiertagsstunden", parseInputNumber($("#holNoCompHours").value) + parseInputNumber($("#holWithCompHours").value), 24 * n, noHoliday],
+        ["Vorfesttage", parseInputNumber($("#vorfestHours").value), m === 12 ? 36 : 0, m === 12 ? "" : " (nur im Dezember)"],
+        ["Vorfest ab 14 Uhr", parseInputNumber($("#vorfest24Hours").value) + parseInputNumber($("#vorfest31Hours").value), Math.min(m === 12 ? 20 : 0, parseInputNumber($("#vorfestHours").value)), " (je Vorfesttag 14–24 Uhr, höchstens die Vorfeststunden)"]
+      ].filter(([, hours, max]) => hours > max);
+
+      $("#holidayInfo").innerHTML = `
+        <p class="small muted">${n
+          ? `Feiertage ${String(m).padStart(2, "0")}/${y} (${esc(Holidays.STATES[land])}): ${list.map(h => `${fmtDate(h.date)} ${esc(h.name)}`).join(" · ")}`
+          : `Keine Feiertage im ${String(m).padStart(2, "0")}/${y} (${esc(Holidays.STATES[land])}).`}</p>
+        ${checks.map(([label, hours, max, note]) => `
+          <p class="small holiday-warn" role="alert">⚠ ${label}: ${fmtH(hours)} eingetragen, der Monat enthält höchstens ${fmtH(max)}${note}.</p>
+        `).join("")}
+      `;
+    };
+    on($("#calcLand"), "change", (e) => {
+      land = e.target.value;
+      saveLand(land);
+      applyRoster();
+      checkHolidays();
+    });
+    on($("#calcMonth"), "change", checkHolidays);
+    on($("#calcYear"), "input", checkHolidays);
+    ["bdHolidayHours", "rb_hol", "holNoCompHours", "holWithCompHours", "vorfestHours", "vorfest24Hours", "vorfest31Hours"].forEach(id => on($(`#${id}`), "input", checkHolidays));
 
-      const schichtZulMonat = schichtDauerhaft ? getSchichtzulage(idx, y, m) : 0;
-      const wsNachtEur = getWsNachtEuro(idx, y, m);
-      const wsNachtSum = wsNacht * wsNachtEur;
+    // Netto-Einstellungen (persistiert)
+    const applyNetto = (o) => Object.values(NET_PARAMS).forEach(p => { $(`#${p.id}`).value = p.to(o[p.opt]); });
+    applyNetto(loadNetto());
+    $("#netKvZusatz").placeholder = `Ø ${String(NetSalary.paramsFor(now.getFullYear()).sv.kvZusatz).replace(".", ",")}`;
 
-      // Prozentsätze
-      const pSun = 0.40;    // 40 %
-      const pHolNo = 1.35;  // 135 %
-      const pHolYes = 0.35; // 35 %
-      // Nacht 15 % nicht separat abgefragt (außerhalb WS), optional erweiterbar
+    const readNetto = () => Object.fromEntries(Object.values(NET_PARAMS).map(p => [p.opt, p.from($(`#${p.id}`).value.trim())]));
+    on($("#netBox"), "change", () => {
+      saveNetto(readNetto());
+      calc();
+    });
 
-      const sunSum = sunH * (hourlyOnStufe3 * pSun);
-      const holNoCompSum = holNoCompH * (hourlyOnStufe3 * pHolNo);
-      const holWithCompSum = holWithCompH * (hourlyOnStufe3 * pHolYes);
-      const para11Sum = sunSum + holNoCompSum + holWithCompSum + wsNachtSum;
+    const renderNet = (r) => {
+      const { s3b, net: n } = calcNet(r, readNetto());
+      const pct = (v) => `${String(Math.round(v * 100) / 100).replace(".", ",")} %`;
+      $("#resNet").textContent = fmtCurr.format(n.net);
+      $("#resNetYear").textContent = `Steuer & SV ${n.year}${n.exact ? "" : ` (Werte ${n.year}, da ${r.year} nicht hinterlegt)`}`;
+      $("#resNetGross").textContent = fmtCurr.format(n.gross);
+      $("#resNetTaxFree").textContent = n.taxFree ? fmtCurr.format(n.taxFree) : "–";
+      $("#resLSt").textContent = `StKl ${["I", "II", "III", "IV", "V", "VI"][n.tax.stkl - 1]} · ${fmtCurr.format(n.tax.lst)}`;
+      $("#resSoli").textContent = fmtCurr.format(n.tax.soli);
+      $("#resKiSt").textContent = fmtCurr.format(n.tax.kist);
+      $("#resKV").textContent = `${pct(n.sv.kv.pct)} · ${fmtCurr.format(n.sv.kv.sum)}`;
+      $("#resPV").textContent = `${pct(n.sv.pv.pct)} · ${fmtCurr.format(n.sv.pv.sum)}`;
+      $("#resRVLabel").textContent = n.sv.rv.label;
+      $("#resRV").textContent = `${pct(n.sv.rv.pct)} · ${fmtCurr.format(n.sv.rv.sum)}`;
+      $("#resAV").textContent = `${pct(n.sv.av.pct)} · ${fmtCurr.format(n.sv.av.sum)}`;
+      $("#resZVK").textContent = `${pct(n.zvk.pct)} · ${fmtCurr.format(n.zvk.sum)}`;
+      $("#res3b").innerHTML = s3b.lines.length
+        ? s3b.lines.map(l => `<li>${esc(l.label)}: ${fmtCurr.format(l.amount)} → steuerfrei ${fmtCurr.format(l.taxfree)}, beitragsfrei ${fmtCurr.format(l.svFree)} <span class="muted">(${l.pct} %)</span></li>`).join("")
+        : `<li class="muted">Keine Zuschläge im Monat.</li>`;
+    };
 
-      // Total
-      const total = baseMonthly + bdTotal + rbEuro + schichtZulMonat + para11Sum;
+    // calc handler
+    const calc = () => {
+      calcDirty = false;
+      const r = Engine.calculate(idx, readInput());
+      const { bd, rb, para11 } = r;
+      checkHolidays();
 
       // Render
-      $("#resVersion").textContent = version || "–";
-      $("#resEGStufe").textContent = `${egHuman} / Stufe ${stufe}`;
-      $("#resBase").textContent = fmtCurr.format(baseMonthly);
-      $("#resBaseHourly").textContent = fmtCurr.format(baseHourlyIndiv);
+      $("#resVersion").textContent = r.version || "–";
+      $("#resEGStufe").textContent = `${r.eg.replace("_", " ")} / Stufe ${r.stufe}`;
+      $("#resBase").textContent = fmtCurr.format(r.base.monthly);
+      $("#resBaseHourly").textContent = fmtCurr.format(r.base.hourly);
 
-      $("#resBD").textContent = fmtCurr.format(bdTotal);
-      $("#resBDHourly").textContent = bdHourly ? fmtCurr.format(bdHourly) : "–";
+      $("#resBD").textContent = fmtCurr.format(bd.total);
+      $("#resBDHourly").textContent = bd.hourly ? fmtCurr.format(bd.hourly) : "–";
       $("#resBDZuschl").textContent = [
-        bdNightPlus ? `Nacht: ${fmtCurr.format(bdNightPlus)}` : null,
-        bdHolPlus ? `Feiertag: ${fmtCurr.format(bdHolPlus)}` : null,
-        bdPlus97 ? `≥97 h: ${fmtCurr.format(bdPlus97)}` : null
+        bd.night ? `Nacht: ${fmtCurr.format(bd.night)}` : null,
+        bd.holiday ? `Feiertag: ${fmtCurr.format(bd.holiday)}` : null,
+        bd.over97 ? `≥97 h: ${fmtCurr.format(bd.over97)}` : null
       ].filter(Boolean).join(" · ") || "–";
+      const fmtH = (h) => `${(Math.round(h * 100) / 100).toLocaleString("de-DE")} h`;
+      $("#resBDValued").textContent = bd.hours ? `Stufe ${bd.level}: ${bd.pct} % → ${fmtH(bd.valuedHours)}` : `Stufe ${bd.level}: ${bd.pct} %`;
+      $("#resBDPay").textContent = bd.payMode === "freizeit" ? `Freizeitausgleich ${fmtH(bd.freizeitHours)}` : `Geld ${fmtCurr.format(bd.base)}`;
+      const arbzg = bd.arbzg;
+      $("#resBDWeekly").textContent = `${fmtH(arbzg.avgWeekly)} / max. ${arbzg.limit} h${arbzg.exceeds ? (arbzg.optOut ? " – über der Opt-out-Grenze" : " – Opt-out erforderlich") : ""}`;
+      $("#resBDWeekly").classList.toggle("is-warning", arbzg.exceeds);
+      $("#resBDVersion").textContent = `${fmtDate(r.version)} / ${bd.bewertungFrom ? fmtDate(bd.bewertungFrom) : "Standard"}`;
 
-      $("#resRB").textContent = fmtCurr.format(rbEuro);
-      $("#resRBHoursEq").textContent = `${rbHoursEq.toFixed(2).replace(".", ",")} h`;
-      $("#resRBTaxfree").textContent = rbTaxfree ? fmtCurr.format(rbTaxfree) : "–";
+      $("#resRB").textContent = fmtCurr.format(rb.euro);
+      $("#resRBHoursEq").textContent = `${rb.hoursEq.toFixed(2).replace(".", ",")} h`;
+      $("#resRBTaxfree").textContent = rb.surcharge ? `${fmtCurr.format(rb.surcharge)} (${fmtCurr.format(rb.taxfree)})` : "–";
 
-      $("#resSchichtZul").textContent = schichtZulMonat ? fmtCurr.format(schichtZulMonat) : "–";
-      $("#resWsNacht").textContent = wsNachtSum ? `${fmtCurr.format(wsNachtEur)} / h → ${fmtCurr.format(wsNachtSum)}` : "–";
-      $("#resPara11Sum").textContent = para11Sum ? fmtCurr.format(para11Sum) : "–";
-      $("#resShift").textContent = fmtCurr.format(schichtZulMonat + para11Sum);
+      $("#resSchichtZul").textContent = para11.schichtzulage ? fmtCurr.format(para11.schichtzulage) : "–";
+      $("#resWsNacht").textContent = para11.wsNacht.sum ? `${fmtCurr.format(para11.wsNacht.rate)} / h → ${fmtCurr.format(para11.wsNacht.sum)}` : "–";
+      const p11Line = (...items) => items.filter(x => x.hours).map(x => `${x.pct} %: ${fmtCurr.format(x.sum)}`).join(" · ") || "–";
+      $("#resPara11Night").textContent = p11Line(para11.night, para11.sat);
+      $("#resPara11Hol").textContent = p11Line(para11.sun, para11.holNoComp, para11.holWithComp, para11.vorfest);
+      $("#resPara11Overtime").textContent = p11Line(para11.overtime);
+      $("#resPara11Sum").textContent = para11.sum ? fmtCurr.format(para11.sum) : "–";
+      $("#resPara11Version").textContent = para11.tableFrom ? fmtDate(para11.tableFrom) : "Standard";
+      $("#para11Rates").innerHTML = `Prozentsätze auf Stundenentgelt der Stufe 3 (${fmtCurr.format(r.base.hourlyStufe3)}/h): Nacht <strong>${para11.night.pct} %</strong>, Samstag <strong>${para11.sat.pct} %</strong>, Sonntag <strong>${para11.sun.pct} %</strong>, Feiertag <strong>${para11.holNoComp.pct} %</strong> (ohne FA) / <strong>${para11.holWithComp.pct} %</strong> (mit FA), Vorfesttage <strong>${para11.vorfest.pct} %</strong>, Überstunden <strong>${para11.overtime.pct} %</strong>. Wechselschicht-Nacht zusätzlich fixer €/h.`;
+      $("#resShift").textContent = fmtCurr.format(para11.schichtzulage + para11.sum);
 
-      $("#resTotal").textContent = fmtCurr.format(total);
+      $("#resTotal").textContent = fmtCurr.format(r.total);
+      persistCalc();
+      $("#resTaxable").textContent = fmtCurr.format(r.taxable);
+      $("#resTaxfree").textContent = r.taxfree.total ? fmtCurr.format(r.taxfree.total) : "–";
+      $("#resTaxfreeBody").innerHTML = r.taxfree.lines.length
+        ? r.taxfree.lines.map(l => `
+          <tr>
+            <td>${esc(l.label)}</td>
+            <td><code>${esc(l.source)}.${esc(l.key.replace(/^para11_/, ""))}</code></td>
+            <td>${l.hours.toFixed(2).replace(".", ",")}</td>
+            <td>${l.pct} %</td>
+            <td>${fmtCurr.format(l.amount)}</td>
+            <td>${fmtCurr.format(l.taxfree)}</td>
+          </tr>
+        `).join("")
+        : `<tr><td colspan="6" class="muted">Keine steuerfreien Zuschläge im Monat.</td></tr>`;
+      $("#resTaxfreeNote").textContent = `Grundlohn ${fmtCurr.format(r.base.hourly)}/h${r.base.hourly > r.taxfree.cap ? `, für § 3b gedeckelt auf ${fmtCurr.format(r.taxfree.cap)}/h` : ""}.`;
+      renderNet(r);
 
-      if (VENDOR.gsap && total > 15000) {
+      if (VENDOR.gsap && r.total > 15000) {
         VENDOR.gsap.to("#resTotal", { scale: 1.06, yoyo: true, repeat: 1, duration: .12, ease: "power1.inOut" });
       }
     };
@@ -1025,10 +2240,1006 @@
       notifier.success("Berechnung aktualisiert.");
     });
 
+    // Dienstplan-Import → Formular
+    let roster = null;
+    const ROSTER_FIELDS = ["bdHours", "bdNightHours", "bdHolidayHours", ...Engine.RB_SLOTS.map(slot => `rb_${slot}`), "wsNachtHours", "sunHours", "holWithCompHours"];
+    const fmtHours = (h) => `${(Math.round(h * 100) / 100).toLocaleString("de-DE")} h`;
+    const fmtDuty = (d) => d.toLocaleString("de-DE", { weekday: "short", day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" });
+
+    const holidayTag = (d) => {
+      const name = Holidays.nameOf(d, land);
+      return name ? ` <span class="badge holiday-tag">${esc(name)}</span>` : "";
+    };
+
+    const applyRoster = () => {
+      if (!roster) return;
+      const y = Number($("#calcYear").value);
+      const m = Number($("#calcMonth").value);
+      const { rows, totals } = Roster.summarize(roster.duties, { year: y, month: m, isHoliday: (d) => Holidays.isHoliday(d, land) });
+      const values = {
+        bdHours: totals.bd.hours,
+        bdNightHours: totals.bd.nightHours,
+        bdHolidayHours: totals.bd.holidayHours,
+        ...Object.fromEntries(Engine.RB_SLOTS.map(slot => [`rb_${slot}`, totals.rb.slots[slot]])),
+        wsNachtHours: totals.para11.wsNachtHours,
+        sunHours: totals.para11.sunHours,
+        holWithCompHours: totals.para11.holWithCompHours
+      };
+      ROSTER_FIELDS.forEach(id => { $(`#${id}`).value = String(Math.round(values[id] * 100) / 100); });
+
+      const box = $("#rosterResult");
+      box.hidden = false;
+      box.innerHTML = `
+        <p><strong>${esc(roster.name)}</strong> · ${rows.length} von ${roster.duties.length} Diensten in ${String(m).padStart(2, "0")}/${y}</p>
+        ${rows.length ? `
+          <div class="table-wrapper">
+            <table class="table roster__table">
+              <thead><tr><th>Dienst</th><th>Beginn</th><th>Ende</th><th>Stunden</th><th>Aufteilung</th></tr></thead>
+              <tbody>
+                ${rows.map(r => `
+                  <tr>
+                    <td>${esc(Roster.TYPES[r.duty.type])}</td>
+                    <td>${esc(fmtDuty(r.duty.start))}${holidayTag(r.duty.start)}</td>
+                    <td>${esc(fmtDuty(r.duty.end))}</td>
+                    <td>${fmtHours(r.hours)}</td>
+                    <td class="small">${r.parts.map(pt => `${esc(pt.label)}: ${fmtHours(pt.hours)}`).join(" · ")}</td>
+                  </tr>
+                `).join("")}
+              </tbody>
+            </table>
+          </div>` : `<p class="muted">Keine Dienste im gewählten Monat.</p>`}
+        ${roster.errors.length ? `
+          <details class="mt">
+            <summary>${roster.errors.length} Zeile(n) übersprungen</summary>
+            <ul class="bullets small">${roster.errors.map(e => `<li>${roster.format === "ics" ? "Termin" : "Zeile"} ${e.line}: ${esc(e.message)}</li>`).join("")}</ul>
+          </details>` : ""}
+      `;
+      calc();
+    };
+
+    on($("#rosterFile"), "change", async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      try {
+        const parsed = Roster.parse(await file.text(), file.name);
+        if (!parsed.duties.length) {
+          notifier.error("Dienstplan: keine verwertbaren Dienste gefunden.");
+          return;
+        }
+        roster = { name: file.name, ...parsed };
+        const month = Roster.dominantMonth(parsed.duties);
+        $("#calcYear").value = String(month.year);
+        $("#calcMonth").value = String(month.month);
+        updateStufen();
+        syncPlan();
+        applyRoster();
+        notifier.success(`Dienstplan importiert: ${parsed.duties.length} Dienste.`);
+      } catch (err) {
+        console.error(err);
+        notifier.error("Dienstplan konnte nicht gelesen werden.");
+      }
+    });
+    on($("#calcMonth"), "change", applyRoster);
+    on($("#calcYear"), "change", applyRoster);
+
+    // Projektion
+    let projChart = null;
+    const monthLabel = (r) => `${String(r.month).padStart(2, "0")}/${r.year}`;
+    const holidayCell = (r) => {
+      const list = Holidays.inMonth(r.year, r.month, land);
+      return list.length ? `<span title="${esc(list.map(h => `${fmtDate(h.date)} ${h.name}`).join(", "))}">${list.length}</span>` : "–";
+    };
+    const project = () => {
+      const p = Engine.project(idx, readInput(), Number($("#projMonths").value), planSegments());
+      $("#projResult").hidden = false;
+      $("#projBody").innerHTML = p.months.map((r, i) => `
+        <tr${i > 0 && r.version !== p.months[i - 1].version ? ` class="projection__switch"` : ""}>
+          <td>${monthLabel(r)}</td>
+          <td>${holidayCell(r)}</td>
+          <td>${fmtDate(r.version)}</td>
+          <td>${fmtCurr.format(r.base.monthly)}</td>
+          <td>${fmtCurr.format(r.bd.total)}</td>
+          <td>${fmtCurr.format(r.rb.total)}</td>
+          <td>${fmtCurr.format(r.para11.schichtzulage + r.para11.sum)}</td>
+          <td><strong>${fmtCurr.format(r.total)}</strong></td>
+        </tr>
+      `).join("");
+      const sumRow = (label, t) => `
+        <tr>
+          <td colspan="3"><strong>${label}</strong></td>
+          <td>${fmtCurr.format(t.base)}</td>
+          <td>${fmtCurr.format(t.bd)}</td>
+          <td>${fmtCurr.format(t.rb)}</td>
+          <td>${fmtCurr.format(t.para11)}</td>
+          <td><strong>${fmtCurr.format(t.total)}</strong></td>
+        </tr>
+      `;
+      $("#projFoot").innerHTML = [
+        ...p.years.map(yr => sumRow(`${yr.year} (${yr.months} Mon.)`, yr)),
+        sumRow(`Summe ${p.months.length} Monate`, p.total)
+      ].join("");
+
+      if (VENDOR.Chart) {
+        try {
+          projChart?.destroy();
+          projChart = new VENDOR.Chart($("#projChart"), {
+            type: "line",
+            data: {
+              labels: p.months.map(monthLabel),
+              datasets: [
+                { label: "Auszahlung gesamt", data: p.months.map(r => Math.round(r.total)), tension: .25 },
+                { label: "Tabellenentgelt", data: p.months.map(r => r.base.monthly), tension: .25 },
+                { label: "BD + RB + § 11", data: p.months.map(r => Math.round(r.total - r.base.monthly)), tension: .25 }
+              ]
+            },
+            options: { responsive: true, interaction: { mode: "index", intersect: false } }
+          });
+        } catch (e) { console.warn("Chart error", e); }
+      } else {
+        $("#projChart").hidden = true;
+      }
+    };
+    on($("#btnProject"), "click", project);
+
+    // Eingaben ↔ URL-Query (#/calculator?eg=III&stufe=2&bd=48&plan=…&stkl=3) & localStorage
+    const readCalcState = () => Object.fromEntries(Object.entries(CALC_PARAMS).map(([key, id]) => {
+      const v = $(`#${id}`).value;
+      return [key, key === "eg" ? v.replace(/^EG\s*/, "") : v];
+    }));
+    const calcDefaults = { ...readCalcState(), land: Holidays.DEFAULT_STATE };
+    const ALWAYS = ["y", "m", "eg", "stufe"];
+    const toQuery = (st) => Object.fromEntries(Object.entries(st).filter(([k, v]) => ALWAYS.includes(k) || v !== calcDefaults[k]));
+
+    const applyCalcState = (st) => {
+      const set = (key) => {
+        if (st[key] == null || st[key] === "") return;
+        const el = $(`#${CALC_PARAMS[key]}`);
+        const v = key === "eg" ? `EG ${st[key]}` : String(st[key]);
+        if (el.tagName === "SELECT" && ![...el.options].some(o => o.value === v)) return;
+        el.value = v;
+      };
+      ["y", "m", "land", "eg"].forEach(set);
+      land = $("#calcLand").value;
+      updateStufen();
+      Object.keys(CALC_PARAMS).filter(k => !["y", "m", "land", "eg"].includes(k)).forEach(set);
+      syncPlan();
+    };
+
+    const persistCalc = () => {
+      const st = readCalcState();
+      saveCalcState(st);
+      if (State.route === "calculator") Router.replaceQuery(linkQuery(st));
+    };
+    // Link: Rechner-Eingaben + Stufenplanung + Netto-Einstellungen (fehlende Schlüssel → Plan aus, Netto-Standard)
+    const linkQuery = (st) => ({ ...toQuery(st), ...planToQuery(readPlan()), ...netToQuery(readNetto()) });
+
+    if (Object.keys(query).some(k => k in CALC_PARAMS)) {
+      applyPlan({ ...loadStufenplan(), ...planFromQuery(query) });
+      applyNetto(netFromQuery(query));
+      applyCalcState(query);
+    } else {
+      applyCalcState(loadCalcState());
+    }
+    saveLand(land);
+    on($(".calc__form"), "input", () => { calcDirty = true; });
+    on($(".calc__form"), "input", persistCalc);
+    on($(".calc__form"), "change", persistCalc);
+    on($("#projMonths"), "change", persistCalc);
+
+    // Szenarien
+    const updateScenarioLink = () => {
+      const n = loadScenarios().length;
+      $("#scenarioLink").textContent = n ? `Szenarien vergleichen (${n})` : "";
+    };
+    on($("#btnScenarioSave"), "click", () => {
+      const name = $("#scenarioName").value.trim();
+      if (!name) {
+        notifier.error("Bitte einen Namen für das Szenario angeben.");
+        $("#scenarioName").focus();
+        return;
+      }
+      const list = loadScenarios();
+      const existing = list.find(sc => sc.name.toLowerCase() === name.toLowerCase());
+      const entry = { id: existing?.id || `sc-${Date.now().toString(36)}`, name, saved: new Date().toISOString(), state: readCalcState() };
+      saveScenarios(existing ? list.map(sc => sc === existing ? entry : sc) : [...list, entry]);
+      $("#scenarioName").value = "";
+      updateScenarioLink();
+      notifier.success(existing ? `Szenario „${name}“ aktualisiert.` : `Szenario „${name}“ gespeichert.`);
+    });
+    updateScenarioLink();
+
+    on($("#btnCalcLink"), "click", async () => {
+      persistCalc();
+      try {
+        await navigator.clipboard.writeText(location.href);
+        notifier.success("Link mit allen Eingaben kopiert.");
+      } catch {
+        notifier.open({ message: `Link: ${location.href}` });
+      }
+    });
+
+    on($("#btnCalcCSV"), "click", () => exportStatement(readCalcState(), "csv", readNetto()));
+    on($("#btnCalcJSON"), "click", () => exportStatement(readCalcState(), "json", readNetto()));
+    on($("#btnCalcStatement"), "click", () => {
+      persistCalc();
+      Router.goto("statement", linkQuery(readCalcState()));
+    });
+
     // initial
     calc();
   };
 
+  // Query-Schlüssel → Feld-ID des Tarif-Rechners
+  const CALC_PARAMS = {
+    y: "calcYear",
+    m: "calcMonth",
+    land: "calcLand",
+    eg: "calcEG",
+    stufe: "calcStufe",
+    bdl: "bdLevel",
+    bdp: "bdPayMode",
+    bdo: "bdOptOut",
+    bd: "bdHours",
+    bdn: "bdNightHours",
+    bdf: "bdHolidayHours",
+    rbl: "rbLevel",
+    ...Object.fromEntries(Engine.RB_SLOTS.map(slot => [`rb_${slot}`, `rb_${slot}`])),
+    schicht: "schichtDauerhaft",
+    wsn: "wsNachtHours",
+    nacht: "nightHours",
+    sat: "satHours",
+    sun: "sunHours",
+    holn: "holNoCompHours",
+    holm: "holWithCompHours",
+    vorfest: "vorfestHours",
+    vf24: "vorfest24Hours",
+    vf31: "vorfest31Hours",
+    ueb: "overtimeHours",
+    proj: "projMonths"
+  };
+
+  // Netto-Einstellungen im Link (stkl=3&kirche=ja …); nur Abweichungen von netDefaults()
+  const NET_PARAMS = {
+    stkl: { id: "netStkl", opt: "stkl", to: String, from: (v) => Number(v) || 1 },
+    kinder: { id: "netKinder", opt: "kinder", to: String, from: parseInputNumber },
+    kirche: { id: "netKirche", opt: "kirche", to: (v) => (v ? "ja" : "nein"), from: (v) => v === "ja" },
+    kvz: { id: "netKvZusatz", opt: "kvZusatz", to: (v) => (v == null ? "" : String(v)), from: (v) => (v === "" ? null : parseInputNumber(v)) },
+    pvk: { id: "netPvKinder", opt: "pvKinder", to: String, from: parseInputNumber },
+    vers: { id: "netVersorgung", opt: "versorgung", to: String, from: (v) => (v === "drv" ? "drv" : "aev") },
+    zvk: { id: "netZvk", opt: "zvkPct", to: String, from: parseInputNumber }
+  };
+  const netToQuery = (opts) => Object.fromEntries(Object.entries(NET_PARAMS)
+    .map(([key, p]) => [key, p.to(opts[p.opt]), p.to(netDefaults()[p.opt])])
+    .filter(([, v, d]) => v !== d)
+    .map(([key, v]) => [key, v]));
+  const netFromQuery = (query) => ({
+    ...netDefaults(),
+    ...Object.fromEntries(Object.entries(NET_PARAMS)
+      .filter(([key]) => query[key] != null && query[key] !== "")
+      .map(([key, p]) => [p.opt, p.from(query[key])]))
+  });
+
+  // Stufenplanung im Link: plan=II_2_2024-11 (EG_Stufe_seit), wechsel=2026-07_III_1.2029-01_IV_1 (ohne plan: Planung aus)
+  const planToQuery = (p) => {
+    if (!p.active) return {};
+    const roman = (eg) => Engine.normalizeEG(eg).replace("EG_", "");
+    return {
+      plan: `${roman(p.eg)}_${p.stufe}_${p.since}`,
+      ...(p.changes.length ? { wechsel: p.changes.map(c => `${c.from}_${roman(c.eg)}_${c.stufe}`).join(".") } : {})
+    };
+  };
+  const planFromQuery = (query) => {
+    const [eg, stufe, since] = String(query.plan || "").split("_");
+    if (!eg || !since) return { active: false };
+    return {
+      active: true,
+      eg: Engine.normalizeEG(`EG ${eg}`),
+      stufe: Number(stufe) || 1,
+      since,
+      changes: String(query.wechsel || "").split(".").map(x => x.split("_")).filter(([from, e]) => from && e)
+        .map(([from, e, n]) => ({ from, eg: Engine.normalizeEG(`EG ${e}`), stufe: Number(n) || 1 }))
+    };
+  };
+
+  // Rechner-Zustand (Query/localStorage/Szenario) → Engine-Eingabe
+  const calcInput = (st = {}) => ({
+    year: Number(st.y),
+    month: Number(st.m),
+    eg: `EG ${st.eg || "II"}`,
+    stufe: Number(st.stufe || 1),
+    bd: {
+      hours: parseInputNumber(st.bd),
+      nightHours: parseInputNumber(st.bdn),
+      holidayHours: parseInputNumber(st.bdf),
+      level: st.bdl || "III",
+      payMode: st.bdp || "geld",
+      optOut: st.bdo === "ja"
+    },
+    rb: {
+      level: st.rbl || "III", // I/II/III
+      slots: Object.fromEntries(Engine.RB_SLOTS.map(slot => [slot, parseInputNumber(st[`rb_${slot}`])]))
+    },
+    para11: {
+      schichtDauerhaft: st.schicht === "ja",
+      wsNachtHours: parseInputNumber(st.wsn),
+      nightHours: parseInputNumber(st.nacht),
+      satHours: parseInputNumber(st.sat),
+      sunHours: parseInputNumber(st.sun),
+      holNoCompHours: parseInputNumber(st.holn),
+      holWithCompHours: parseInputNumber(st.holm),
+      vorfestHours: parseInputNumber(st.vorfest),
+      vorfest24Hours: parseInputNumber(st.vf24),
+      vorfest31Hours: parseInputNumber(st.vf31),
+      overtimeHours: parseInputNumber(st.ueb)
+    }
+  });
+
+  // Netto zur Engine-Rechnung (§ 3b-Anteile → steuer-/beitragsfrei)
+  const calcNet = (r, opts = loadNetto()) => {
+    const s3b = NetSalary.split3b(r.taxfree.lines, r.base.hourly);
+    const net = NetSalary.calculate({
+      ...opts,
+      year: r.year,
+      gross: r.total,
+      taxFree: r.taxfree.total,
+      svFree: s3b.svFree,
+      zvkBase: r.base.monthly
+    });
+    return { s3b, net };
+  };
+
+  // Einzelaufstellung einer Rechnung: Eingaben, Tarifstand und alle Zwischenwerte
+  // rows: [{ section, label, value, unit: "EUR" | "EUR/h" | "h" | "%" | "", note }]
+  const calcStatement = (st = {}, netOpts = loadNetto()) => {
+    const input = calcInput(st);
+    const r = Engine.calculate(State.idx, input);
+    const { s3b, net } = calcNet(r, netOpts);
+    const { bd, rb, para11 } = r;
+    const rows = [];
+    const add = (section, label, value, unit = "EUR", note = "") => rows.push({ section, label, value, unit, note });
+    const de = (n) => (Math.round(n * 100) / 100).toLocaleString("de-DE");
+    const land = st.land || Holidays.DEFAULT_STATE;
+
+    add("Eingaben", "Monat", `${String(r.month).padStart(2, "0")}/${r.year}`, "");
+    add("Eingaben", "Bundesland (Feiertage)", Holidays.STATES[land] || land, "");
+    add("Eingaben", "Entgeltgruppe / Stufe", `${r.eg.replace("_", " ")} / ${r.stufe}`, "");
+    add("Eingaben", "BD-Stunden (Nacht / Feiertag)", bd.hours, "h", `${de(bd.nightHours)} h / ${de(bd.holidayHours)} h`);
+    add("Eingaben", "RB-Stufe", rb.level, "");
+    rb.slots.forEach(s => add("Eingaben", `RB ${Roster.SLOT_LABELS[s.slot] || s.slot}`, s.hours, "h"));
+    add("Eingaben", "Wechselschicht dauerhaft", input.para11.schichtDauerhaft ? "ja" : "nein", "");
+
+    add("Tarif", "Tarifstand", r.version || "", "");
+    add("Tarif", "Wochenarbeitszeit", r.weeklyHours, "h");
+    add("Tarif", "Tabellenentgelt", r.base.monthly);
+    add("Tarif", "Stundenentgelt (individuell)", r.base.hourly, "EUR/h", `Tabellenentgelt / (${r.weeklyHours} h × 52 / 12)`);
+    add("Tarif", "Stundenentgelt Stufe 3", r.base.hourlyStufe3, "EUR/h", "Basis § 11");
+
+    add("Bereitschaftsdienst", "BD-Stufe / Bewertung", bd.pct, "%", `Stufe ${bd.level}${bd.bewertungFrom ? `, Stand ${bd.bewertungFrom}` : ""}`);
+    add("Bereitschaftsdienst", "Bewertete Stunden", bd.valuedHours, "h", `${de(bd.hours)} h × ${bd.pct} %`);
+    add("Bereitschaftsdienst", "BD-Entgelt je Stunde", bd.hourly, "EUR/h");
+    add("Bereitschaftsdienst", bd.payMode === "freizeit" ? "Freizeitausgleich" : "Bewertete Zeit (Geld)", bd.payMode === "freizeit" ? bd.freizeitHours : bd.base, bd.payMode === "freizeit" ? "h" : "EUR");
+    add("Bereitschaftsdienst", "Zuschlag Nacht", bd.night, "EUR", `${de(bd.nightHours)} h`);
+    add("Bereitschaftsdienst", "Zuschlag Feiertag", bd.holiday, "EUR", `${de(bd.holidayHours)} h`);
+    add("Bereitschaftsdienst", "Zuschlag ab 97 h", bd.over97, "EUR", `${de(bd.over97Hours)} h`);
+    add("Bereitschaftsdienst", "Ø Wochenarbeitszeit (ArbZG)", bd.arbzg.avgWeekly, "h", `Grenze ${bd.arbzg.limit} h${bd.arbzg.exceeds ? " – überschritten" : ""}`);
+    add("Bereitschaftsdienst", "Summe BD", bd.total);
+
+    rb.slots.forEach(s => add("Rufbereitschaft", `${Roster.SLOT_LABELS[s.slot] || s.slot}: Stundenäquivalent`, s.hoursEq, "h", `${de(s.hours)} h × ${de(s.factorPct)} %`));
+    add("Rufbereitschaft", "Stundenäquivalent gesamt", rb.hoursEq, "h");
+    add("Rufbereitschaft", "Entgelt", rb.euro, "EUR", "Stundenäquivalent × Stundenentgelt");
+    add("Rufbereitschaft", "Zuschläge", rb.surcharge);
+    add("Rufbereitschaft", "Summe RB", rb.total);
+
+    add("§ 11 Zeitzuschläge", "Schichtzulage", para11.schichtzulage);
+    add("§ 11 Zeitzuschläge", "Wechselschicht Nacht", para11.wsNacht.sum, "EUR", `${de(para11.wsNacht.hours)} h × ${fmtCurr.format(para11.wsNacht.rate)}`);
+    [["Nacht", para11.night], ["Samstag", para11.sat], ["Sonntag", para11.sun], ["Feiertag ohne FA", para11.holNoComp],
+      ["Feiertag mit FA", para11.holWithComp], ["Vorfesttag", para11.vorfest], ["Überstunden", para11.overtime]]
+      .forEach(([label, x]) => add("§ 11 Zeitzuschläge", label, x.sum, "EUR", `${de(x.hours)} h × ${de(x.pct)} % von ${fmtCurr.format(r.base.hourlyStufe3)}`));
+    add("§ 11 Zeitzuschläge", "Summe § 11", para11.schichtzulage + para11.sum, "EUR", para11.tableFrom ? `Sätze ab ${para11.tableFrom}` : "");
+
+    r.taxfree.lines.forEach(l => add("Steuerfrei (§ 3b EStG)", l.label, l.taxfree, "EUR", `${de(l.hours)} h × ${l.pct} % (Zuschlag ${fmtCurr.format(l.amount)})`));
+
+    add("Summen", "Auszahlung brutto", r.total);
+    add("Summen", "davon steuerpflichtig", r.taxable);
+    add("Summen", "davon steuerfrei", r.taxfree.total);
+    add("Summen", "Lohnsteuer", net.tax.lst, "EUR", `StKl ${net.tax.stkl}, Tarif ${net.year}`);
+    add("Summen", "Solidaritätszuschlag", net.tax.soli);
+    add("Summen", "Kirchensteuer", net.tax.kist);
+    add("Summen", "Krankenversicherung", net.sv.kv.sum, "EUR", `${de(net.sv.kv.pct)} %`);
+    add("Summen", "Pflegeversicherung", net.sv.pv.sum, "EUR", `${de(net.sv.pv.pct)} %`);
+    add("Summen", net.sv.rv.label, net.sv.rv.sum, "EUR", `${de(net.sv.rv.pct)} %`);
+    add("Summen", "Arbeitslosenversicherung", net.sv.av.sum, "EUR", `${de(net.sv.av.pct)} %`);
+    add("Summen", "ZVK", net.zvk.sum, "EUR", `${de(net.zvk.pct)} %`);
+    add("Summen", "Netto (Schätzung)", net.net);
+
+    return { state: st, input, result: r, s3b, net, rows };
+  };
+
+  const statementFilename = (s, ext) =>
+    `Entgeltaufstellung_${s.result.year}-${String(s.result.month).padStart(2, "0")}_${s.result.eg.replace("_", "-")}-${s.result.stufe}.${ext}`;
+
+  // CSV für Tabellenkalkulation (Semikolon, Dezimalkomma, BOM für Excel)
+  const statementCSV = (s) => {
+    const cell = (v) => {
+      const t = typeof v === "number" ? (Math.round(v * 100) / 100).toFixed(2).replace(".", ",") : String(v ?? "");
+      return /[;"\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+    };
+    const lines = [["Bereich", "Position", "Wert", "Einheit", "Berechnung"], ...s.rows.map(row => [row.section, row.label, row.value, row.unit, row.note])];
+    return "\uFEFF" + lines.map(l => l.map(cell).join(";")).join("\r\n");
+  };
+
+  const statementJSON = (s) => JSON.stringify({
+    generated_at: new Date().toISOString(),
+    query: s.state,
+    input: s.input,
+    result: s.result,
+    net: s.net,
+    para3b: s.s3b,
+    rows: s.rows
+  }, null, 2);
+
+  // netOpts wie in der aufrufenden Ansicht (Formular bzw. URL), sonst localStorage
+  const exportStatement = (st, format, netOpts = loadNetto()) => {
+    const s = calcStatement(st, netOpts);
+    if (format === "csv") downloadFile(statementCSV(s), statementFilename(s, "csv"), "text/csv;charset=utf-8");
+    else downloadFile(statementJSON(s), statementFilename(s, "json"), "application/json;charset=utf-8");
+    notifier.success(`${format.toUpperCase()}-Export erstellt.`);
+  };
+
+  // Entgeltaufstellung (druckoptimiert, Eingaben aus der URL)
+  const ViewStatement = async (query = {}) => {
+    const fromQuery = Object.keys(query).some(k => k in CALC_PARAMS);
+    const st = fromQuery ? query : loadCalcState();
+    if (!st.y || !st.m) {
+      Outlet.innerHTML = `
+        <section class="section-space fade-in">
+          <div class="card">
+            <h3 class="section-title">Entgeltaufstellung</h3>
+            <p class="muted">Keine Eingaben vorhanden. Bitte zuerst den <a href="#/calculator" data-nav="calculator" class="link">Tarif-Rechner</a> ausfüllen.</p>
+          </div>
+        </section>
+      `;
+      return;
+    }
+    const netOpts = fromQuery ? netFromQuery(query) : loadNetto();
+    const s = calcStatement(st, netOpts);
+    const r = s.result;
+    const monthName = new Date(r.year, r.month - 1, 1).toLocaleString("de-DE", { month: "long", year: "numeric" });
+    const fmtValue = (row) => {
+      if (typeof row.value !== "number") return esc(row.value);
+      if (row.unit === "EUR") return fmtCurr.format(row.value);
+      if (row.unit === "EUR/h") return `${fmtCurr.format(row.value)}/h`;
+      return `${(Math.round(row.value * 100) / 100).toLocaleString("de-DE")} ${row.unit}`;
+    };
+    const sections = [...new Set(s.rows.map(row => row.section))];
+
+    Outlet.innerHTML = `
+      <section class="section-space fade-in statement">
+        <div class="statement__actions no-print">
+          <a href="${Router.buildHash("calculator", st)}" class="btn--ghost btn--sm">← Zum Tarif-Rechner</a>
+          <button id="stmtCSV" type="button" class="btn--ghost btn--sm">CSV</button>
+          <button id="stmtJSON" type="button" class="btn--ghost btn--sm">JSON</button>
+          <button id="stmtPrint" type="button" class="btn--primary btn--sm">Drucken / PDF</button>
+        </div>
+        <div class="card statement__sheet">
+          <h2 class="statement__title">Entgeltaufstellung ${esc(monthName)}</h2>
+          <p class="muted">${esc(State.data?.profile?.name || "")} · ${r.eg.replace("_", " ")} / Stufe ${r.stufe} · Tarifstand ${fmtDate(r.version)} · erstellt ${fmtDate(Date.now())}</p>
+          <table class="table statement__table">
+            <tbody>
+              ${sections.map(sec => `
+                <tr class="statement__section"><th colspan="3">${esc(sec)}</th></tr>
+                ${s.rows.filter(row => row.section === sec).map(row => `
+                  <tr${/^(Summe|Auszahlung|Netto)/.test(row.label) ? ` class="statement__sum"` : ""}>
+                    <td>${esc(row.label)}</td>
+                    <td class="muted small">${esc(row.note)}</td>
+                    <td>${fmtValue(row)}</td>
+                  </tr>
+                `).join("")}
+              `).join("")}
+            </tbody>
+          </table>
+          <p class="muted small mt">Modellrechnung nach TV-Ärzte ohne Gewähr; Lohnsteuer und Sozialversicherung vereinfacht (${s.net.exact ? `Werte ${s.net.year}` : `Werte ${s.net.year}, da ${r.year} nicht hinterlegt`}). Zum Abgleich mit der Entgeltabrechnung.</p>
+        </div>
+      </section>
+    `;
+
+    on($("#stmtCSV"), "click", () => exportStatement(st, "csv", netOpts));
+    on($("#stmtJSON"), "click", () => exportStatement(st, "json", netOpts));
+    on($("#stmtPrint"), "click", () => window.print());
+  };
+
+  // Szenarien: gespeicherte Rechner-Eingaben nebeneinander
+  const SCENARIO_ROWS = [
+    { label: "Tabellenentgelt", value: (r) => r.base.monthly },
+    { label: "Bereitschaftsdienst", value: (r) => r.bd.total },
+    { label: "Rufbereitschaft", value: (r) => r.rb.total },
+    { label: "§ 11 (Schicht/Nacht/So/Feiertag)", value: (r) => r.para11.schichtzulage + r.para11.sum },
+    { label: "Auszahlung gesamt", value: (r) => r.total, total: true }
+  ];
+  const SCENARIO_MAX = 5;
+
+  const ViewScenarios = async (query = {}) => {
+    let list = loadScenarios();
+    if (!list.length) {
+      Outlet.innerHTML = `
+        <section class="section-space fade-in">
+          <div class="card">
+            <h3 class="section-title">Szenarien</h3>
+            <p class="muted">Noch keine Szenarien gespeichert. Im <a href="#/calculator" data-nav="calculator" class="link">Tarif-Rechner</a> Eingaben benennen und „Als Szenario speichern“ wählen.</p>
+          </div>
+        </section>
+      `;
+      return;
+    }
+
+    const requested = String(query.ids || "").split(",").filter(id => list.some(sc => sc.id === id));
+    const selected = new Set(requested.length ? requested : list.slice(0, SCENARIO_MAX).map(sc => sc.id));
+
+    Outlet.innerHTML = `
+      <section class="section-space fade-in">
+        <div class="card">
+          <h3 class="section-title">Szenarien</h3>
+          <p class="muted">2–${SCENARIO_MAX} Szenarien auswählen; Abweichungen jeweils gegenüber der ersten Spalte.</p>
+          <ul id="scenarioList" class="scenario-list mt"></ul>
+        </div>
+        <div id="scenarioCompare" class="mt"></div>
+      </section>
+    `;
+
+    const fmtDelta = (d, base) => {
+      if (Math.abs(d) < 0.005) return `<span class="delta">±0</span>`;
+      const pct = base ? ` (${d > 0 ? "+" : ""}${(d / base * 100).toFixed(1).replace(".", ",")} %)` : "";
+      return `<span class="delta ${d > 0 ? "delta--up" : "delta--down"}">${d > 0 ? "+" : "−"}${fmtCurr.format(Math.abs(d))}${pct}</span>`;
+    };
+
+    const render = () => {
+      $("#scenarioList").innerHTML = list.map(sc => `
+        <li class="scenario-item">
+          <label>
+            <input type="checkbox" data-id="${esc(sc.id)}" ${selected.has(sc.id) ? "checked" : ""} />
+            <strong>${esc(sc.name)}</strong>
+            <span class="muted small">EG ${esc(sc.state.eg)} / Stufe ${esc(sc.state.stufe)} · ${String(sc.state.m).padStart(2, "0")}/${esc(sc.state.y)} · gespeichert ${fmtDate(sc.saved)}</span>
+          </label>
+          <span class="scenario-item__actions">
+            <button type="button" class="btn--ghost btn--sm" data-load="${esc(sc.id)}">In Rechner laden</button>
+            <button type="button" class="btn--ghost btn--sm" data-delete="${esc(sc.id)}" aria-label="Szenario ${esc(sc.name)} löschen">Löschen</button>
+          </span>
+        </li>
+      `).join("");
+
+      const cols = list.filter(sc => selected.has(sc.id)).map(sc => ({ sc, r: Engine.calculate(State.idx, calcInput(sc.state)) }));
+      Router.replaceQuery({ ids: cols.map(c => c.sc.id).join(",") });
+      if (cols.length < 2) {
+        $("#scenarioCompare").innerHTML = `<div class="card"><p class="muted">Mindestens zwei Szenarien für den Vergleich auswählen.</p></div>`;
+        return;
+      }
+      const [base] = cols;
+      $("#scenarioCompare").innerHTML = `
+        <div class="table-wrapper">
+          <table class="table scenario-table">
+            <thead>
+              <tr>
+                <th>Monatswerte</th>
+                ${cols.map(c => `<th>${esc(c.sc.name)}<br><span class="muted small">${c.r.eg.replace("_", " ")} / Stufe ${c.r.stufe} · Stand ${fmtDate(c.r.version)}</span></th>`).join("")}
+              </tr>
+            </thead>
+            <tbody>
+              ${SCENARIO_ROWS.map(row => `
+                <tr${row.total ? ` class="scenario-table__total"` : ""}>
+                  <td>${row.label}</td>
+                  ${cols.map((c, i) => {
+                    const v = row.value(c.r);
+                    return `<td><strong>${fmtCurr.format(v)}</strong>${i > 0 ? `<br>${fmtDelta(v - row.value(base.r), row.value(base.r))}` : ""}</td>`;
+                  }).join("")}
+                </tr>
+              `).join("")}
+            </tbody>
+          </table>
+        </div>
+      `;
+    };
+
+    on($("#scenarioList"), "change", (e) => {
+      const id = e.target.dataset.id;
+      if (!id) return;
+      if (e.target.checked && selected.size >= SCENARIO_MAX) {
+        e.target.checked = false;
+        notifier.error(`Höchstens ${SCENARIO_MAX} Szenarien gleichzeitig.`);
+        return;
+      }
+      e.target.checked ? selected.add(id) : selected.delete(id);
+      render();
+    });
+    on($("#scenarioList"), "click", (e) => {
+      const load = e.target.closest("[data-load]");
+      const del = e.target.closest("[data-delete]");
+      if (load) {
+        const sc = list.find(x => x.id === load.dataset.load);
+        if (sc) Router.goto("calculator", sc.state);
+      } else if (del) {
+        const sc = list.find(x => x.id === del.dataset.delete);
+        list = list.filter(x => x !== sc);
+        saveScenarios(list);
+        selected.delete(sc?.id);
+        notifier.success(`Szenario „${sc?.name}“ gelöscht.`);
+        if (!list.length) Router.render();
+        else render();
+      }
+    });
+
+    render();
+  };
+
+  // Tarifstände (Tabellen, Versionsvergleich, Abgleich mit meta.notes)
+  const ViewTariff = async (query = {}) => {
+    const idx = State.idx;
+    const versions = idx.versions;
+    if (!versions.length) {
+      Outlet.innerHTML = `
+        <section class="section-space fade-in">
+          <div class="card">
+            <h3 class="section-title">Tarifstände</h3>
+            <p class="muted">Keine Tarifdaten geladen.</p>
+          </div>
+        </section>
+      `;
+      return;
+    }
+    const EGS = TariffTools.EGS;
+    const egLabel = (eg) => eg.replace("_", " ");
+    const fmtPct = (p) => `${p > 0 ? "+" : p < 0 ? "−" : ""}${Math.abs(p).toFixed(2).replace(".", ",")} %`;
+    const fmtDiff = (a, b) => {
+      if (!isNum(a) || !isNum(b) || !a) return `<span class="delta">–</span>`;
+      const d = b - a;
+      if (Math.abs(d) < 0.005) return `<span class="delta">±0</span>`;
+      return `<span class="delta ${d > 0 ? "delta--up" : "delta--down"}">${d > 0 ? "+" : "−"}${fmtCurr.format(Math.abs(d))} (${fmtPct(d / a * 100)})</span>`;
+    };
+    const pick = (v, fallback) => (versions.includes(v) ? v : fallback);
+    const ym = (v) => [Number(v.slice(0, 4)), Number(v.slice(5, 7))];
+    const zulagen = (v) => ({
+      schicht: Engine.getSchichtzulage(idx, ...ym(v)),
+      wsNacht: Engine.getWsNachtEuro(idx, ...ym(v)),
+      bd: Object.fromEntries(EGS.map(eg => [eg, Engine.getBDHourly(idx, v, eg)]))
+    });
+
+    let a = pick(query.a, versions[Math.max(0, versions.length - 2)]);
+    let b = pick(query.b, versions[versions.length - 1]);
+    const options = (sel) => versions.map(v => `<option value="${esc(v)}"${v === sel ? " selected" : ""}>${fmtDate(v)}${idx.entgelttabellen[v] ? "" : " (nur Zulagen/BD)"}</option>`).join("");
+
+    // Abgleich: angegebene Erhöhung ↔ Tabelle zum Stichtag gegenüber dem vorherigen Tabellenstand
+    const claims = TariffTools.parseRaiseClaims(State.data?.meta?.notes).map(c => {
+      const prev = versions.filter(v => v < c.validFrom && idx.entgelttabellen[v]).pop();
+      if (!idx.entgelttabellen[c.validFrom]) return { ...c, status: "missing" };
+      if (!prev) return { ...c, status: "first" };
+      return { ...c, prev, status: "checked", result: TariffTools.checkRaise(idx.entgelttabellen[c.validFrom], idx.entgelttabellen[prev], c.pct) };
+    });
+
+    Outlet.innerHTML = `
+      <section class="section-space fade-in">
+        <div class="card">
+          <h3 class="section-title">Tarifstände vergleichen</h3>
+          <div class="tv-pick">
+            <label for="tvA">Stand A</label>
+            <select id="tvA">${options(a)}</select>
+            <button id="tvSwap" type="button" class="btn--ghost btn--sm" aria-label="Stände tauschen">⇄</button>
+            <label for="tvB">Stand B</label>
+            <select id="tvB">${options(b)}</select>
+          </div>
+          <div id="tvDiff" class="mt"></div>
+        </div>
+
+        <div class="card mt">
+          <h3 class="section-title">Abgleich mit Erhöhungsangaben</h3>
+          <p class="muted">Angaben aus <code>meta.notes</code>; geprüft wird jede Tabellenzelle gegenüber dem vorherigen Tabellenstand (Toleranz ±0,05 Prozentpunkte für Cent-Rundung).</p>
+          ${claims.length ? `
+            <ul class="tv-claims mt">
+              ${claims.map(c => {
+                const head = `<strong>${fmtPct(c.pct)}</strong> zum ${fmtDate(c.validFrom)}`;
+                if (c.status === "missing") return `<li class="tv-claim tv-claim--err">${head}: keine Entgelttabelle zu diesem Stichtag.</li>`;
+                if (c.status === "first") return `<li class="tv-claim">${head}: erster bekannter Stand – kein Vorgänger zum Abgleich.</li>`;
+                const r = c.result;
+                const range = `${fmtPct(r.min)} bis ${fmtPct(r.max)} über ${r.cells} Zellen ggü. ${fmtDate(c.prev)}`;
+                return r.ok
+                  ? `<li class="tv-claim tv-claim--ok">${head}: bestätigt (${range}).</li>`
+                  : `<li class="tv-claim tv-claim--err">${head}: ${r.outliers.length} Abweichung(en) (${range}) – ${r.outliers.slice(0, 4).map(o => `${egLabel(o.eg)}/${o.stufe}: ${fmtPct(o.pct)}`).join(", ")}${r.outliers.length > 4 ? " …" : ""}</li>`;
+              }).join("")}
+            </ul>
+          ` : `<p class="muted mt">Keine Erhöhungsangaben in <code>meta.notes</code> gefunden.</p>`}
+        </div>
+
+        <div class="card mt">
+          <h3 class="section-title">Entgelttabellen</h3>
+          ${versions.filter(v => idx.entgelttabellen[v]).reverse().map((v, i) => {
+            const t = idx.entgelttabellen[v];
+            const cols = Math.max(0, ...EGS.map(eg => (t[eg] || []).length));
+            return `
+              <details class="tv-version mt"${i === 0 ? " open" : ""}>
+                <summary>Stand ${fmtDate(v)}</summary>
+                <div class="table-wrapper mt">
+                  <table class="table tv-table">
+                    <thead><tr><th>EG</th>${Array.from({ length: cols }, (_, s) => `<th>Stufe ${s + 1}</th>`).join("")}<th>BD €/h</th></tr></thead>
+                    <tbody>
+                      ${EGS.map(eg => `
+                        <tr>
+                          <td>${egLabel(eg)}</td>
+                          ${Array.from({ length: cols }, (_, s) => `<td>${isNum(t[eg]?.[s]) ? fmtCurr.format(t[eg][s]) : "–"}</td>`).join("")}
+                          <td>${fmtCurr.format(Engine.getBDHourly(idx, v, eg))}</td>
+                        </tr>
+                      `).join("")}
+                    </tbody>
+                  </table>
+                </div>
+              </details>
+            `;
+          }).join("")}
+        </div>
+      </section>
+    `;
+
+    const renderDiff = () => {
+      Router.replaceQuery({ a, b });
+      const ta = Engine.getTable(idx, a);
+      const tb = Engine.getTable(idx, b);
+      const za = zulagen(a);
+      const zb = zulagen(b);
+      const cols = Math.max(0, ...EGS.map(eg => Math.max((ta[eg] || []).length, (tb[eg] || []).length)));
+      const inherited = [a, b].filter(v => !idx.entgelttabellen[v]);
+      $("#tvDiff").innerHTML = `
+        ${inherited.length ? `<p class="muted">${inherited.map(fmtDate).join(", ")}: keine eigene Entgelttabelle – es gilt die zuletzt bekannte.</p>` : ""}
+        <div class="table-wrapper">
+          <table class="table tv-table tv-diff">
+            <thead><tr><th>EG</th>${Array.from({ length: cols }, (_, s) => `<th>Stufe ${s + 1}</th>`).join("")}</tr></thead>
+            <tbody>
+              ${EGS.map(eg => `
+                <tr>
+                  <td>${egLabel(eg)}</td>
+                  ${Array.from({ length: cols }, (_, s) => {
+                    const va = ta[eg]?.[s];
+                    const vb = tb[eg]?.[s];
+                    return `<td>${isNum(vb) ? `<strong>${fmtCurr.format(vb)}</strong>` : "–"}<br>${fmtDiff(va, vb)}</td>`;
+                  }).join("")}
+                </tr>
+              `).join("")}
+            </tbody>
+          </table>
+        </div>
+        <div class="table-wrapper mt">
+          <table class="table tv-table">
+            <thead><tr><th>Zulage / Entgelt</th><th>${fmtDate(a)}</th><th>${fmtDate(b)}</th><th>Änderung</th></tr></thead>
+            <tbody>
+              ${EGS.map(eg => `
+                <tr><td>BD-Entgelt ${egLabel(eg)} (€/h)</td><td>${fmtCurr.format(za.bd[eg])}</td><td>${fmtCurr.format(zb.bd[eg])}</td><td>${fmtDiff(za.bd[eg], zb.bd[eg])}</td></tr>
+              `).join("")}
+              <tr><td>Schichtzulage (€/Monat)</td><td>${fmtCurr.format(za.schicht)}</td><td>${fmtCurr.format(zb.schicht)}</td><td>${fmtDiff(za.schicht, zb.schicht)}</td></tr>
+              <tr><td>Wechselschicht Nacht (€/h)</td><td>${fmtCurr.format(za.wsNacht)}</td><td>${fmtCurr.format(zb.wsNacht)}</td><td>${fmtDiff(za.wsNacht, zb.wsNacht)}</td></tr>
+            </tbody>
+          </table>
+        </div>
+      `;
+    };
+
+    on($("#tvA"), "change", (e) => { a = e.target.value; renderDiff(); });
+    on($("#tvB"), "change", (e) => { b = e.target.value; renderDiff(); });
+    on($("#tvSwap"), "click", () => {
+      [a, b] = [b, a];
+      $("#tvA").value = a;
+      $("#tvB").value = b;
+      renderDiff();
+    });
+
+    renderDiff();
+  };
+
+  // Tarifstand-Werkzeuge (Import & Erhöhung → careers.json-Fragment)
+  const ViewTariffTools = async () => {
+    const idx = State.idx;
+    const versions = idx.versions;
+    const latest = versions[versions.length - 1] || "";
+    const nextYear = latest ? `${Number(latest.slice(0, 4)) + 1}${latest.slice(4)}` : "";
+    const egLabel = (eg) => eg.replace("_", " ");
+    const fmtPct = (p) => `${p > 0 ? "+" : p < 0 ? "−" : ""}${Math.abs(p).toFixed(2).replace(".", ",")} %`;
+
+    Outlet.innerHTML = `
+      <section class="section-space fade-in">
+        <div class="calc__grid">
+          <div class="panel">
+            <h3>Tabelle einlesen</h3>
+            <p class="muted">CSV oder Text aus dem Änderungstarifvertrag einfügen – je Zeile eine Entgeltgruppe (<code>EG I</code>, <code>Ä 1</code> oder <code>1</code>) mit den Stufenbeträgen. Optional BD-Entgelte als <code>BD EG II 39,10</code>.</p>
+            <div class="form-row mt">
+              <label for="ttPaste">Tabelle</label>
+              <textarea id="ttPaste" class="tt-paste" rows="7" spellcheck="false" placeholder="EG I;5359,00;5660,00;5889,00;6118,00;6344,00&#10;Ä 2  7.089,66  7.684,00 …"></textarea>
+            </div>
+            <div class="form-row">
+              <label for="ttPasteFrom">Gültig ab</label>
+              <input id="ttPasteFrom" type="date" value="${esc(nextYear)}" />
+            </div>
+            <button id="ttParse" type="button" class="btn mt">Einlesen</button>
+          </div>
+
+          <div class="panel">
+            <h3>Erhöhung erzeugen</h3>
+            <div class="form-grid">
+              <label for="ttBase">Ausgangsstand</label>
+              <select id="ttBase">
+                ${versions.map(v => `<option value="${esc(v)}"${v === latest ? " selected" : ""}>${fmtDate(v)}</option>`).join("")}
+              </select>
+
+              <label for="ttPct">Erhöhung in %</label>
+              <input id="ttPct" type="number" step="0.1" min="0" value="3" />
+
+              <label for="ttFixed">Festbetrag €/Monat</label>
+              <input id="ttFixed" type="number" step="10" min="0" value="0" />
+
+              <label for="ttMin">Mindestbetrag €/Monat</label>
+              <input id="ttMin" type="number" step="10" min="0" value="0" />
+
+              <label for="ttRounding">Rundung</label>
+              <select id="ttRounding">
+                <option value="cent" selected>auf Cent</option>
+                <option value="euro">auf volle Euro</option>
+                <option value="euro-up">auf volle Euro aufrunden</option>
+                <option value="five">auf 5 Euro</option>
+              </select>
+
+              <label for="ttRaiseFrom">Gültig ab</label>
+              <input id="ttRaiseFrom" type="date" value="${esc(nextYear)}" />
+            </div>
+            <p class="muted">BD-Entgelte werden um denselben Prozentsatz erhöht (auf Cent). Festbetrag und Mindestbetrag gelten nur für die Tabellenentgelte.</p>
+            <button id="ttRaise" type="button" class="btn mt">Erzeugen</button>
+          </div>
+        </div>
+
+        <div id="ttPreview" class="mt" aria-live="polite"></div>
+      </section>
+    `;
+
+    // Vorgängerstand: letzter Stand vor validFrom (Tabelle & BD je EG)
+    const previousOf = (validFrom) => {
+      const prev = idx.versions.filter(v => v < validFrom).pop();
+      if (!prev) return null;
+      return {
+        version: prev,
+        table: Engine.getTable(idx, prev),
+        bd: Object.fromEntries(TariffTools.EGS.map(eg => [eg, Engine.getBDHourly(idx, prev, eg)]))
+      };
+    };
+
+    const renderPreview = ({ validFrom, table, bd, note, errors = [] }) => {
+      const box = $("#ttPreview");
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(validFrom || "")) {
+        notifier.error("Bitte ein gültiges Datum „Gültig ab“ angeben.");
+        return;
+      }
+      const prev = previousOf(validFrom);
+      const issues = [
+        ...errors.map(e => ({ level: "warn", message: `Zeile ${e.line}: ${e.message}` })),
+        ...TariffTools.validate(table, prev?.table)
+      ];
+      if (idx.versions.includes(validFrom)) issues.push({ level: "warn", message: `Stand ${fmtDate(validFrom)} existiert bereits – das Fragment ersetzt ihn.` });
+      if (!Object.keys(bd || {}).length) issues.push({ level: "warn", message: "Keine BD-Entgelte – der Rechner nutzt dann die Sätze des Vorgängerstands." });
+      const delta = TariffTools.changes(table, prev?.table);
+      const cols = Math.max(0, ...Object.values(table).map(a => a.length));
+      const fragment = TariffTools.toFragment({ validFrom, table, bd, note });
+      const json = JSON.stringify(fragment, null, 2);
+
+      box.innerHTML = `
+        <div class="card">
+          <h3 class="section-title">Vorschau · gültig ab ${fmtDate(validFrom)}</h3>
+          <p class="muted">${prev ? `Abweichungen gegenüber Stand ${fmtDate(prev.version)}.` : "Kein Vorgängerstand vorhanden."}</p>
+          <div class="table-wrapper">
+            <table class="table tt-table">
+              <thead>
+                <tr>
+                  <th>EG</th>
+                  ${Array.from({ length: cols }, (_, i) => `<th>Stufe ${i + 1}</th>`).join("")}
+                  <th>BD €/h</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${Object.entries(table).sort(([a], [b]) => a.localeCompare(b, "en", { numeric: true })).map(([eg, arr]) => `
+                  <tr>
+                    <td>${esc(egLabel(eg))}</td>
+                    ${Array.from({ length: cols }, (_, i) => {
+                      const v = arr[i];
+                      const p = delta[eg]?.[i];
+                      return `<td>${v == null ? "–" : `<strong>${fmtCurr.format(v)}</strong>`}${isNum(p) ? `<br><span class="delta ${p < 0 ? "delta--down" : "delta--up"}">${fmtPct(p)}</span>` : ""}</td>`;
+                    }).join("")}
+                    <td>${isNum(bd?.[eg]) ? fmtCurr.format(bd[eg]) : "–"}${isNum(bd?.[eg]) && prev?.bd[eg] ? `<br><span class="delta">${fmtPct((bd[eg] / prev.bd[eg] - 1) * 100)}</span>` : ""}</td>
+                  </tr>
+                `).join("")}
+              </tbody>
+            </table>
+          </div>
+          ${issues.length ? `
+            <ul class="tt-issues mt">
+              ${issues.map(i => `<li class="tt-issue tt-issue--${i.level}">${i.level === "error" ? "Fehler" : "Hinweis"}: ${esc(i.message)}</li>`).join("")}
+            </ul>
+          ` : `<p class="mt">Plausibilitätsprüfung ohne Befund.</p>`}
+          <h4 class="mt">careers.json-Fragment</h4>
+          <p class="muted">Einträge in <code>tariff.entgelttabellen</code>${fragment.bd_hourly ? " bzw. <code>tariff.bd_hourly</code>" : ""} übernehmen.</p>
+          <pre class="tt-json"><code>${esc(json)}</code></pre>
+          <div class="tt-actions mt">
+            <button id="ttCopy" type="button" class="btn--ghost btn--sm">Kopieren</button>
+            <button id="ttDownload" type="button" class="btn--ghost btn--sm">Als JSON herunterladen</button>
+          </div>
+        </div>
+      `;
+
+      on($("#ttCopy"), "click", async () => {
+        try {
+          await navigator.clipboard.writeText(json);
+          notifier.success("Fragment kopiert.");
+        } catch {
+          notifier.error("Kopieren nicht möglich – bitte aus der Vorschau markieren.");
+        }
+      });
+      on($("#ttDownload"), "click", () => {
+        downloadFile(json, `tarifstand_${validFrom}.json`, "application/json;charset=utf-8");
+        notifier.success("Fragment heruntergeladen.");
+      });
+    };
+
+    on($("#ttParse"), "click", () => {
+      const { table, bd, errors } = TariffTools.parseTable($("#ttPaste").value);
+      if (!Object.keys(table).length) {
+        notifier.error("Keine Entgeltgruppen erkannt.");
+        return;
+      }
+      renderPreview({ validFrom: $("#ttPasteFrom").value, table, bd, errors });
+    });
+
+    on($("#ttRaise"), "click", () => {
+      const base = $("#ttBase").value;
+      const opts = {
+        pct: parseInputNumber($("#ttPct").value),
+        fixed: parseInputNumber($("#ttFixed").value),
+        minRaise: parseInputNumber($("#ttMin").value),
+        rounding: $("#ttRounding").value
+      };
+      const validFrom = $("#ttRaiseFrom").value;
+      if (validFrom && validFrom <= base) {
+        notifier.error("„Gültig ab“ muss nach dem Ausgangsstand liegen.");
+        return;
+      }
+      const baseBD = Object.fromEntries(TariffTools.EGS.map(eg => [eg, Engine.getBDHourly(idx, base, eg)]).filter(([, v]) => v > 0));
+      const parts = [opts.pct ? `+${String(opts.pct).replace(".", ",")} %` : "", opts.fixed ? `+${opts.fixed} €` : "", opts.minRaise ? `mind. ${opts.minRaise} €` : ""].filter(Boolean);
+      renderPreview({
+        validFrom,
+        table: TariffTools.raise(Engine.getTable(idx, base), opts),
+        bd: TariffTools.raiseBD(baseBD, opts),
+        note: `Projektion: Stand ${base} ${parts.join(", ") || "unverändert"}`
+      });
+    });
+  };
+
+  // Entscheidungsmatrix: Punkte 0–5 je Kriterium; gespeicherte Werte > t.metrics > Vorbelegung
+  // (Vergütung: typisches Jahresbrutto linear auf 1–5 über die verglichenen Pfade, sonst neutral 3)
+  const decisionMatrix = (tracks, decision) => {
+    const slugOf = (t) => t.slug || t.id;
+    const typical = new Map(tracks.map(t => {
+      const pos = t.positions || (t.employers?.flatMap(e => e.roles?.map(r => ({ ...r, company: e.name }))) || []);
+      return [slugOf(t), Compensation.aggregate(pos, loadCompAssumptions())?.typical];
+    }));
+    const known = [...typical.values()].filter(isNum);
+    const lo = Math.min(...known), hi = Math.max(...known);
+    const payDefault = (slug) => {
+      const v = typical.get(slug);
+      if (!isNum(v)) return 3;
+      return hi > lo ? Math.round((1 + 4 * (v - lo) / (hi - lo)) * 2) / 2 : 3;
+    };
+    const score = (t, key) => decision.scores[slugOf(t)]?.[key] ?? t.metrics?.[key] ?? (key === "pay" ? payDefault(slugOf(t)) : 3);
+    const totalWeight = decision.criteria.reduce((a, c) => a + Math.max(0, c.weight || 0), 0);
+    const rows = tracks.map(t => {
+      const scores = Object.fromEntries(decision.criteria.map(c => [c.key, score(t, c.key)]));
+      const weighted = totalWeight
+        ? decision.criteria.reduce((a, c) => a + Math.max(0, c.weight || 0) * scores[c.key], 0) / totalWeight
+        : null;
+      return { slug: slugOf(t), title: t.title, scores, weighted };
+    });
+    const ranking = [...rows].sort((a, b) => (b.weighted ?? -1) - (a.weighted ?? -1));
+    return { rows, ranking, totalWeight };
+  };
+
   // Compare
   const ViewCompare = async () => {
     const tracks = State.data?.tracks || [];
@@ -1045,6 +3256,7 @@
       return;
     }
 
+    const assumptions = loadCompAssumptions();
     Outlet.innerHTML = `
       <section class="section-space fade-in">
         <div class="table-wrapper">
@@ -1052,7 +3264,7 @@
             <thead>
               <tr>
                 <th>Pfad</th>
-                <th>Vergütung (Spanne)</th>
+                <th>Vergütung (normalisiert)</th>
                 <th>Arbeitsmodell</th>
                 <th>Wochenstunden</th>
                 <th>Ort/Remote</th>
@@ -1062,6 +3274,19 @@
             <tbody id="cmpBody"></tbody>
           </table>
         </div>
+        <details class="card mt comp-assumptions" id="cmpAssumptions">
+          <summary><strong>Annahmen der Umrechnung</strong> <span class="muted">– Tarif und Bonus auf Jahresbrutto, Honorar auf Jahresumsatz</span></summary>
+          <form class="comp-assumptions__form mt">
+            ${Object.entries(Compensation.ASSUMPTION_LABELS).map(([k, label]) => `
+              <label>${label}
+                <input type="number" name="${k}" min="0" step="1" value="${assumptions[k]}" />
+              </label>
+            `).join("")}
+            <button type="button" class="btn--outline" data-reset>Standardwerte</button>
+          </form>
+          <p class="muted">Honorare und Tagessätze sind Umsatz vor Abgaben und Betriebskosten; Tarifwerte ohne Dienste und Zulagen.</p>
+        </details>
+        <div class="card mt matrix" id="cmpMatrix"></div>
         <div class="card mt">
           <h4>Radar (Stärkenvergleich)</h4>
           <canvas id="cmpChart" aria-label="Vergleichschart" role="img" height="360"></canvas>
@@ -1070,45 +3295,375 @@
     `;
 
     const body = $("#cmpBody");
-    body.innerHTML = selected.map((t) => {
-      const pos = t.positions || (t.employers?.flatMap(e => e.roles?.map(r => ({ ...r, company: e.name }))) || []);
-      const min = Math.min(...pos.map(p => p.salary_min ?? Infinity));
-      const max = Math.max(...pos.map(p => p.salary_max ?? 0));
-      const model = ((new Set(pos.map(p => p.model || ""))).values().next().value) || (t.model || "n. a.");
-      const hours = ((new Set(pos.map(p => p.weekly_hours || ""))).values().next().value) || (t.weekly_hours || "n. a.");
-      const remote = ((new Set(pos.map(p => p.remote || p.location || ""))).values().next().value) || (t.location || "n. a.");
-      const highlights = (t.badges || []).slice(0,3).join(", ");
+    const renderRows = () => {
+      body.innerHTML = selected.map((t) => {
+        const pos = t.positions || (t.employers?.flatMap(e => e.roles?.map(r => ({ ...r, company: e.name }))) || []);
+        const comp = Compensation.aggregate(pos, loadCompAssumptions());
+        const other = fmtCompOther(Compensation.aggregateOther(pos, loadCompAssumptions()));
+        const model = ((new Set(pos.map(p => p.model || ""))).values().next().value) || (t.model || "n. a.");
+        const hours = ((new Set(pos.map(p => p.weekly_hours || ""))).values().next().value) || (t.weekly_hours || "n. a.");
+        const remote = ((new Set(pos.map(p => p.remote || p.location || ""))).values().next().value) || (t.location || "n. a.");
+        const highlights = (t.badges || []).slice(0,3).join(", ");
 
-      const span = (isFinite(min) && max > 0) ? `${fmtCurr.format(min)} – ${fmtCurr.format(max)}` : (t.compensation_note || "n. a.");
+        const span = [
+          comp ? `${fmtCompSpan(comp)}<br><span class="muted">typ. ${fmtYear(comp.typical)} · ${comp.bases.join(", ")}</span>` : "",
+          ...other.map(o => `<span class="muted">${o}</span>`)
+        ].filter(Boolean).join("<br>") || (t.compensation_note || "n. a.");
 
-      return `
-        <tr>
-          <td><strong>${t.title}</strong></td>
-          <td>${span}</td>
-          <td>${model}</td>
-          <td>${hours}</td>
-          <td>${remote}</td>
-          <td>${highlights || "–"}</td>
-        </tr>
+        return `
+          <tr>
+            <td><strong>${t.title}</strong></td>
+            <td>${span}</td>
+            <td>${model}</td>
+            <td>${hours}</td>
+            <td>${remote}</td>
+            <td>${highlights || "–"}</td>
+          </tr>
+        `;
+      }).join("");
+    };
+    renderRows();
+
+    // Annahmen ändern → nur Tabelle neu rechnen (Details bleiben offen)
+    const form = $("#cmpAssumptions form");
+    const fillForm = (a) => Object.entries(a).forEach(([k, v]) => { if (form.elements[k]) form.elements[k].value = v; });
+    on(form, "change", () => {
+      saveCompAssumptions(Object.fromEntries(Object.keys(Compensation.DEFAULTS).map(k => [k, parseInputNumber(form.elements[k].value)])));
+      renderRows();
+      renderMatrix();
+    });
+    on($("[data-reset]", form), "click", () => {
+      saveCompAssumptions({ ...Compensation.DEFAULTS });
+      fillForm(Compensation.DEFAULTS);
+      renderRows();
+      renderMatrix();
+    });
+
+    // Entscheidungsmatrix: Gewichte & Punkte editierbar, Rangfolge und Radar live
+    const matrixEl = $("#cmpMatrix");
+    let decision = loadDecision();
+    let chart = null;
+    const fmtScore = (v) => (isNum(v) ? v.toLocaleString("de-DE", { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : "–");
+
+    const renderMatrix = () => {
+      const { rows } = decisionMatrix(selected, decision);
+      matrixEl.innerHTML = `
+        <div class="matrix__head">
+          <h4>Entscheidungsmatrix</h4>
+          <button type="button" class="btn--outline" data-matrix-reset>Zurücksetzen</button>
+        </div>
+        <p class="muted">Punkte 0–5 je Kriterium und Pfad, Gewicht 0–10. Vergütung ist aus dem typischen Jahresbrutto vorbelegt.</p>
+        <div class="table-wrapper">
+          <table class="table matrix__table">
+            <thead>
+              <tr>
+                <th>Kriterium</th>
+                <th>Gewicht</th>
+                ${rows.map(r => `<th>${esc(r.title)}</th>`).join("")}
+                <th><span class="sr-only">Aktionen</span></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${decision.criteria.map(c => `
+                <tr>
+                  <th scope="row">${esc(c.label)}</th>
+                  <td><input type="number" min="0" max="10" step="1" value="${c.weight}" data-weight="${esc(c.key)}" aria-label="Gewicht ${esc(c.label)}" /></td>
+                  ${rows.map(r => `<td><input type="number" min="0" max="5" step="0.5" value="${r.scores[c.key]}" data-score="${esc(c.key)}" data-slug="${esc(r.slug)}" aria-label="${esc(c.label)} – ${esc(r.title)}" /></td>`).join("")}
+                  <td>${c.custom ? `<button type="button" class="btn--ghost" data-remove="${esc(c.key)}" title="Kriterium entfernen">✕</button>` : ""}</td>
+                </tr>
+              `).join("")}
+            </tbody>
+            <tfoot>
+              <tr>
+                <th scope="row">Gewichtet (0–5)</th>
+                <td data-total-weight></td>
+                ${rows.map(r => `<td><strong data-total="${esc(r.slug)}"></strong></td>`).join("")}
+                <td></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+        <form class="matrix__add mt">
+          <input type="text" name="label" placeholder="Eigenes Kriterium, z. B. Pendelzeit" aria-label="Eigenes Kriterium" required />
+          <button type="submit" class="btn--outline">Kriterium hinzufügen</button>
+        </form>
+        <h5 class="mt">Rangfolge</h5>
+        <ol class="matrix__ranking"></ol>
       `;
-    }).join("");
+      chart?.destroy();
+      chart = null;
+      updateMatrix();
+    };
 
-    // Radar chart
-    if (VENDOR.Chart) {
+    const updateMatrix = () => {
+      const { rows, ranking, totalWeight } = decisionMatrix(selected, decision);
+      $("[data-total-weight]", matrixEl).textContent = fmtInt.format(totalWeight);
+      $$("[data-total]", matrixEl).forEach(el => { el.textContent = fmtScore(rows.find(r => r.slug === el.dataset.total)?.weighted); });
+      $(".matrix__ranking", matrixEl).innerHTML = totalWeight
+        ? ranking.map(r => `
+            <li>
+              <span class="matrix__bar" style="--w:${(r.weighted / 5) * 100}%"></span>
+              <strong>${esc(r.title)}</strong> <span class="muted">${fmtScore(r.weighted)} / 5</span>
+            </li>
+          `).join("")
+        : `<li class="muted">Alle Gewichte sind 0 – keine Rangfolge.</li>`;
+
+      if (!VENDOR.Chart) return;
+      const labels = decision.criteria.map(c => c.label);
+      const datasets = rows.map(r => ({ label: r.title, data: decision.criteria.map(c => r.scores[c.key]), fill: true }));
       try {
-        const labels = ["Vergütung", "Planbarkeit", "Forschung/Lehre", "Technik/Innovation", "Führung", "Work-Life"];
-        const datasets = selected.map((t) => {
-          const m = t.metrics || { pay: 4, schedule: 3, research: 3, tech: 5, lead: 4, wl: 3 };
-          return { label: t.title, data: [m.pay, m.schedule, m.research, m.tech, m.lead, m.wl], fill: true };
-        });
-        const ctx = $("#cmpChart");
-        new VENDOR.Chart(ctx, {
-          type: "radar",
-          data: { labels, datasets },
-          options: { responsive: true, scales: { r: { min: 0, max: 5, ticks: { stepSize: 1 } } } }
-        });
+        if (chart) {
+          chart.data.labels = labels;
+          chart.data.datasets.forEach((ds, i) => { ds.data = datasets[i].data; });
+          chart.update("none");
+        } else {
+          chart = new VENDOR.Chart($("#cmpChart"), {
+            type: "radar",
+            data: { labels, datasets },
+            options: { responsive: true, scales: { r: { min: 0, max: 5, ticks: { stepSize: 1 } } } }
+          });
+        }
       } catch (e) { console.warn("Chart error", e); }
+    };
+
+    on(matrixEl, "input", (e) => {
+      const el = e.target;
+      if (el.dataset.weight) {
+        const c = decision.criteria.find(x => x.key === el.dataset.weight);
+        if (c) c.weight = Math.min(10, Math.max(0, parseInputNumber(el.value)));
+      } else if (el.dataset.score) {
+        const slot = (decision.scores[el.dataset.slug] ||= {});
+        slot[el.dataset.score] = Math.min(5, Math.max(0, parseInputNumber(el.value)));
+      } else return;
+      saveDecision(decision);
+      updateMatrix();
+    });
+    on(matrixEl, "click", (e) => {
+      const rm = e.target.closest("[data-remove]");
+      if (rm) {
+        decision.criteria = decision.criteria.filter(c => c.key !== rm.dataset.remove);
+        Object.values(decision.scores).forEach(s => delete s[rm.dataset.remove]);
+        saveDecision(decision);
+        renderMatrix();
+        return;
+      }
+      if (e.target.closest("[data-matrix-reset]")) {
+        localStorage.removeItem("decision");
+        decision = loadDecision();
+        renderMatrix();
+        notifier.success("Entscheidungsmatrix zurückgesetzt.");
+      }
+    });
+    on(matrixEl, "submit", (e) => {
+      e.preventDefault();
+      const label = e.target.elements.label.value.trim();
+      if (!label) return;
+      decision.criteria.push({ key: `c_${Date.now().toString(36)}`, label, weight: 1, custom: true });
+      saveDecision(decision);
+      renderMatrix();
+    });
+
+    renderMatrix();
+  };
+
+  // Freelance vs. angestellt: Honorar → abrechenbare Tage → Wert vor Steuer, Break-even gegen das Tarifpaket
+  const FREELANCE_FIELDS = [
+    { key: "hoursPerDay", label: "Abrechenbare Stunden je Tag", min: 1, max: 24, step: 0.5 },
+    { key: "utilization", label: "Auslastung (%)", min: 0, max: 100, step: 1 },
+    { key: "vacationDays", label: "Urlaubstage", min: 0, max: 100, step: 1 },
+    { key: "sickDays", label: "Krankheitstage", min: 0, max: 100, step: 1 },
+    { key: "kvMonth", label: "Kranken-/Pflegeversicherung (€/Monat)", min: 0, max: 3000, step: 10 },
+    { key: "aevPct", label: "Ärzteversorgung (%, voller Beitrag)", min: 0, max: 30, step: 0.1 },
+    { key: "liability", label: "Berufshaftpflicht (€/Jahr)", min: 0, max: 50000, step: 50 },
+    { key: "bg", label: "Berufsgenossenschaft (€/Jahr)", min: 0, max: 10000, step: 10 },
+    { key: "otherCosts", label: "Sonstige Kosten (€/Jahr)", min: 0, max: 100000, step: 100 }
+  ];
+
+  // Honorarangaben der Positionen als Vorlage: [{ id, label, mode, rate }]
+  const freelancePresets = () => (State.data?.tracks || []).flatMap(t => (t.positions || []).flatMap(p => {
+    const c = p.compensation || {};
+    const out = [];
+    const hourly = Compensation.parseRange(c.contractor_hourly_range);
+    const day = Compensation.parseRange(c.day_rate_range);
+    if (hourly) out.push({ id: `${p.id}:hour`, label: `${p.title} – ${fmtInt.format(hourly.min)}–${fmtInt.format(hourly.max)} €/h`, mode: "hour", rate: (hourly.min + hourly.max) / 2 });
+    if (day) out.push({ id: `${p.id}:day`, label: `${p.title} – ${fmtInt.format(day.min)}–${fmtInt.format(day.max)} €/Tag`, mode: "day", rate: (day.min + day.max) / 2 });
+    return out;
+  }));
+
+  const ViewFreelance = async () => {
+    const idx = State.idx;
+    const o = loadFreelance();
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+    const presets = freelancePresets();
+
+    // Dienste/Zulagen aus dem Tarif-Rechner vorbelegen (Monatswert ohne Tabellenentgelt)
+    if (o.extras == null) {
+      const st = loadCalcState();
+      const r = st.y && st.m ? Engine.calculate(idx, calcInput(st)) : null;
+      o.extras = r ? Math.round(r.total - r.base.monthly) : 0;
     }
+
+    Outlet.innerHTML = `
+      <section class="calc section-space fade-in freelance">
+        <div class="calc__grid">
+          <form class="panel" id="flForm">
+            <h3>Freelance</h3>
+            <div class="form-grid">
+              <label for="flPreset">Satz aus Karrierepfad</label>
+              <select id="flPreset">
+                <option value="">– eigener Satz –</option>
+                ${presets.map(x => `<option value="${esc(x.id)}">${esc(x.label)}</option>`).join("")}
+              </select>
+
+              <label for="flMode">Abrechnung</label>
+              <select id="flMode" name="mode">
+                <option value="hour"${o.mode === "hour" ? " selected" : ""}>Stundensatz</option>
+                <option value="day"${o.mode === "day" ? " selected" : ""}>Tagessatz</option>
+              </select>
+
+              <label for="flRate">Satz (€)</label>
+              <input id="flRate" name="rate" type="number" min="0" step="1" value="${o.rate}" />
+
+              ${FREELANCE_FIELDS.map(f => `
+                <label for="fl_${f.key}">${f.label}</label>
+                <input id="fl_${f.key}" name="${f.key}" type="number" min="${f.min}" max="${f.max}" step="${f.step}" value="${o[f.key]}" />
+              `).join("")}
+            </div>
+
+            <h3 class="mt">Angestellt (Tarif)</h3>
+            <div class="form-grid">
+              <label for="flEG">Entgeltgruppe</label>
+              <select id="flEG" name="eg">
+                ${["I", "II", "III", "IV"].map(eg => `<option value="${eg}"${o.eg === eg ? " selected" : ""}>EG ${eg}</option>`).join("")}
+              </select>
+
+              <label for="flStufe">Stufe</label>
+              <select id="flStufe" name="stufe"></select>
+
+              <label for="flExtras">Dienste & Zulagen (€/Monat)</label>
+              <input id="flExtras" name="extras" type="number" min="0" step="10" value="${o.extras}" />
+
+              <label for="flZvk">ZVK Arbeitgeberanteil (%)</label>
+              <input id="flZvk" name="zvkAgPct" type="number" min="0" max="10" step="0.01" value="${o.zvkAgPct}" />
+            </div>
+            <p class="muted">Dienste & Zulagen sind aus dem <a href="#/calculator" data-nav="calculator" class="link">Tarif-Rechner</a> vorbelegt. AN-Sozialabgaben nach den <a href="#/calculator" data-nav="calculator" class="link">Netto-Einstellungen</a>.</p>
+          </form>
+
+          <div class="panel">
+            <h3>Ergebnis ${year}</h3>
+            <div class="result-grid" id="flResult"></div>
+            <p class="muted mt">
+              Verglichen wird der Jahreswert vor Einkommensteuer: angestellt Brutto abzüglich Arbeitnehmeranteilen
+              zuzüglich Arbeitgeberanteil ZVK, freiberuflich Umsatz abzüglich Versicherungen, Ärzteversorgung (voller Beitrag bis zur BBG)
+              und Kosten. Keine Umsatz- oder Gewerbesteuer; Feiertage nach ${esc(Holidays.STATES[loadLand()] || loadLand())}.
+            </p>
+          </div>
+        </div>
+      </section>
+    `;
+
+    const form = $("#flForm");
+    const stufeSel = $("#flStufe");
+    const version = Engine.pickVersion(idx, year, month);
+    const fillStufen = () => {
+      const arr = Engine.getTable(idx, version)[Engine.normalizeEG(`EG ${form.elements.eg.value}`)] || [];
+      stufeSel.innerHTML = arr.map((_, i) => `<option value="${i + 1}">${i + 1}</option>`).join("");
+      stufeSel.value = String(Math.min(arr.length || 1, o.stufe || 1));
+    };
+    fillStufen();
+
+    const holidays = Holidays.list(year, loadLand()).map(h => h.date);
+    const workdays = Freelance.workdays(year, holidays);
+    const aevCap = NetSalary.paramsFor(year).sv.bbgRV * 12;
+    const line = (label, value) => `<div class="result-item"><span>${label}</span><span>${value}</span></div>`;
+    const fmtRate = (v, mode) => (v == null ? "nicht erreichbar" : `${fmtCurr.format(v)} ${mode === "day" ? "/ Tag" : "/ h"}`);
+    const fmtDays = (v) => `${(Math.round(v * 10) / 10).toLocaleString("de-DE")} Tage`;
+
+    const compute = () => {
+      const r = Engine.calculate(idx, calcInput({ y: year, m: month, eg: o.eg, stufe: o.stufe }));
+      const monthly = r.base.monthly + o.extras;
+      const social = NetSalary.social(monthly, year, loadNetto());
+      const emp = Freelance.employed({ gross: monthly * 12, social: social.total * 12, zvkBase: r.base.monthly * 12 }, o);
+
+      const { available, billable } = Freelance.days(o, workdays);
+      const ctx = { billableDays: billable, aevCap };
+      const fl = Freelance.freelance(o, ctx);
+      const rate = Freelance.breakEvenRate(o, ctx, emp.value);
+      const need = Freelance.requiredDays(o, ctx, emp.value);
+      const diff = fl.value - emp.value;
+
+      $("#flResult").innerHTML = `
+        <div class="result-card">
+          <div class="result-card__header">
+            <div><h4>Angestellt</h4><p class="muted">EG ${esc(o.eg)} / Stufe ${o.stufe}, Stand ${esc(r.version || "")}</p></div>
+            <div class="result-amount">${fmtCurr.format(emp.value)}</div>
+          </div>
+          <div class="result-details">
+            ${line("Jahresbrutto", fmtCurr.format(emp.gross))}
+            ${line("davon Dienste & Zulagen", fmtCurr.format(o.extras * 12))}
+            ${line(`AN-Sozialabgaben (KV/PV/${social.rv.label === "Ärzteversorgung" ? "ÄV" : "RV"}/AV)`, `− ${fmtCurr.format(emp.social)}`)}
+            ${line(`ZVK Arbeitgeber (${o.zvkAgPct.toLocaleString("de-DE")} %)`, `+ ${fmtCurr.format(emp.zvkAg)}`)}
+          </div>
+        </div>
+        <div class="result-card">
+          <div class="result-card__header">
+            <div><h4>Freelance</h4><p class="muted">${fmtRate(o.rate, o.mode)} · ${fmtDays(billable)}</p></div>
+            <div class="result-amount">${fmtCurr.format(fl.value)}</div>
+          </div>
+          <div class="result-details">
+            ${line("Arbeitstage / verfügbar", `${workdays} / ${fmtDays(available)}`)}
+            ${line("Umsatz", fmtCurr.format(fl.revenue))}
+            ${line("Kranken-/Pflegeversicherung", `− ${fmtCurr.format(fl.kv)}`)}
+            ${line("Ärzteversorgung", `− ${fmtCurr.format(fl.aev)}`)}
+            ${line("Haftpflicht / BG", `− ${fmtCurr.format(fl.liability + fl.bg)}`)}
+            ${line("Sonstige Kosten", `− ${fmtCurr.format(fl.otherCosts)}`)}
+          </div>
+        </div>
+        <div class="result-card total">
+          <div class="result-card__header">
+            <div><h4>Break-even</h4><p class="muted">Satz, ab dem Freelance gleichzieht</p></div>
+            <div class="result-amount">${fmtRate(rate, o.mode)}</div>
+          </div>
+          <div class="result-details">
+            ${line("Nötige abrechenbare Tage", need == null ? "nicht erreichbar" : `<span class="${need > available ? "is-warning" : ""}">${fmtDays(need)}</span>`)}
+            ${line("Verfügbare Tage", fmtDays(available))}
+            ${line("Differenz Freelance − angestellt", `<span class="${diff < 0 ? "is-warning" : ""}">${diff < 0 ? "−" : "+"} ${fmtCurr.format(Math.abs(diff))}</span>`)}
+          </div>
+          ${need != null && need > available ? `<p class="muted mt">Beim gewählten Satz reichen die verfügbaren Tage nicht aus.</p>` : ""}
+        </div>
+      `;
+    };
+
+    const read = () => {
+      o.mode = form.elements.mode.value;
+      o.rate = parseInputNumber(form.elements.rate.value);
+      FREELANCE_FIELDS.forEach(f => { o[f.key] = parseInputNumber(form.elements[f.key].value); });
+      o.eg = form.elements.eg.value;
+      o.stufe = Number(stufeSel.value) || 1;
+      o.extras = parseInputNumber(form.elements.extras.value);
+      o.zvkAgPct = parseInputNumber(form.elements.zvkAgPct.value);
+      saveFreelance(o);
+      compute();
+    };
+
+    on(form, "submit", (e) => e.preventDefault());
+    on(form, "input", (e) => {
+      if (e.target.id === "flPreset" || e.target.id === "flEG") return;
+      if (e.target.name === "rate" || e.target.name === "mode") $("#flPreset").value = "";
+      read();
+    });
+    on($("#flEG"), "change", () => { fillStufen(); read(); });
+    on($("#flPreset"), "change", (e) => {
+      const x = presets.find(p => p.id === e.target.value);
+      if (!x) return;
+      form.elements.mode.value = x.mode;
+      form.elements.rate.value = String(x.rate);
+      read();
+    });
+
+    compute();
   };
 
   // Sources
@@ -1137,6 +3692,229 @@
     `;
   };
 
+  // Druck-Dossier (#/print): Deckblatt, Profil, Karrierepfade, Vergleich, Quellen – für „Als PDF speichern“
+  const compLines = (c = {}) => Object.entries(c)
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => {
+      const fmt = (x) => (isNum(x) ? fmtInt.format(x) : String(x));
+      return { key: k.replace(/_/g, " "), value: Array.isArray(v) ? v.map(fmt).join(" / ") : fmt(v) };
+    });
+
+  const ViewPrint = async () => {
+    const d = State.data || {};
+    const p = d.profile || {};
+    const tracks = d.tracks || [];
+    const sources = d.sources || [];
+    const selected = tracks.filter(t => State.selectedCompare.has(t.slug || t.id));
+    const compared = selected.length ? selected : tracks;
+    const assumptions = loadCompAssumptions();
+    const list = (arr) => (arr?.length ? `<ul class="bullets">${arr.map(x => `<li>${esc(x)}</li>`).join("")}</ul>` : "");
+
+    // Fußnoten: Quellenhinweise der Positionen, je Pfad fortlaufend nummeriert
+    let fn = 0;
+    const trackSection = (t) => {
+      const notes = [];
+      const positions = t.positions || [];
+      return `
+        <section class="dossier__chapter dossier__track">
+          <h2>${esc(t.title)}</h2>
+          ${t.tags?.length ? `<p class="muted">${t.tags.map(esc).join(" · ")}</p>` : ""}
+          ${t.summary ? `<p>${esc(t.summary)}</p>` : ""}
+          ${positions.map(pos => {
+            const refs = (pos.sources_hint || []).map(h => {
+              notes.push({ n: ++fn, text: h });
+              return `<sup>${fn}</sup>`;
+            }).join("");
+            const comp = compLines(pos.compensation);
+            const norm = compOf(pos);
+            return `
+              <article class="dossier__position">
+                <h3>${esc(pos.title)}${refs}</h3>
+                <p class="muted">${[pos.employer, pos.location, pos.type].filter(Boolean).map(esc).join(" · ")}</p>
+                <dl class="dossier__facts">
+                  ${pos.model ? `<dt>Arbeitsmodell</dt><dd>${esc(pos.model)}</dd>` : ""}
+                  ${pos.weekly_hours ? `<dt>Wochenstunden</dt><dd>${esc(pos.weekly_hours)}</dd>` : ""}
+                  ${norm ? `<dt>${norm.kind} (normalisiert, ${norm.basisLabel})</dt><dd>${fmtCompSpan(norm)}, typ. ${fmtYear(norm.typical)}<br><span class="muted">${esc(norm.formula)}</span></dd>` : ""}
+                  ${comp.map(c => `<dt>${esc(c.key)}</dt><dd>${esc(c.value)}</dd>`).join("")}
+                </dl>
+                ${pos.requirements?.length ? `<h4>Anforderungen</h4>${list(pos.requirements)}` : ""}
+                ${pos.benefits?.length ? `<h4>Benefits</h4>${list(pos.benefits)}` : ""}
+                ${pos.notes?.length ? `<h4>Hinweise</h4>${list(pos.notes)}` : ""}
+              </article>
+            `;
+          }).join("")}
+          ${notes.length ? `<ol class="dossier__footnotes">${notes.map(x => `<li value="${x.n}">${esc(x.text)}</li>`).join("")}</ol>` : ""}
+        </section>
+      `;
+    };
+
+    Outlet.innerHTML = `
+      <div class="dossier fade-in">
+        <div class="dossier__actions no-print">
+          <button id="dossierPrint" type="button" class="btn--primary btn--sm">Drucken / Als PDF speichern</button>
+          <span class="muted small">Tipp: im Druckdialog „Als PDF speichern“ wählen, Kopf-/Fußzeilen des Browsers abschalten.</span>
+        </div>
+
+        <section class="dossier__cover">
+          <p class="dossier__kicker">Karriere-Portfolio</p>
+          <h1>${esc(p.name || "")}</h1>
+          <p class="dossier__subtitle">${esc(p.title || "")}</p>
+          <p>${esc(p.location || "")}</p>
+          <p class="dossier__meta">Stand der Daten: ${fmtDate(d.meta?.generated_at || Date.now())}${d.meta?.version ? ` · Datensatz v${esc(d.meta.version)}` : ""}<br>Erstellt: ${fmtDate(Date.now())}</p>
+          ${d.meta?.notes?.length ? `<ul class="dossier__notes">${d.meta.notes.map(n => `<li>${esc(n)}</li>`).join("")}</ul>` : ""}
+        </section>
+
+        <section class="dossier__chapter">
+          <h2>Profil</h2>
+          ${p.summary ? `<p>${esc(p.summary)}</p>` : ""}
+          ${p.experience?.length ? `
+            <h3>Berufserfahrung</h3>
+            ${p.experience.map(x => `
+              <div class="dossier__entry">
+                <strong>${esc(x.role)}</strong> – ${esc(x.employer)}${x.since ? ` <span class="muted">(seit ${fmtDate(x.since)})</span>` : ""}
+                ${list(x.highlights)}
+              </div>
+            `).join("")}
+          ` : ""}
+          ${p.education?.length ? `
+            <h3>Ausbildung</h3>
+            ${p.education.map(x => `
+              <div class="dossier__entry">
+                <strong>${esc(x.degree)}</strong> – ${esc(x.institution)} <span class="muted">${esc(x.year || x.years || "")}</span>
+                ${x.topic ? `<div>${esc(x.topic)}</div>` : ""}
+                ${list(x.distinctions)}
+              </div>
+            `).join("")}
+          ` : ""}
+          ${p.tech_stack ? `
+            <h3>Technik</h3>
+            <dl class="dossier__facts">
+              ${Object.entries(p.tech_stack).map(([k, v]) => `<dt>${esc(k.replace(/_/g, " "))}</dt><dd>${esc([].concat(v).join(", "))}</dd>`).join("")}
+            </dl>
+          ` : ""}
+          ${p.interests?.length ? `<h3>Interessen</h3><p>${p.interests.map(esc).join(" · ")}</p>` : ""}
+        </section>
+
+        ${tracks.map(trackSection).join("")}
+
+        <section class="dossier__chapter">
+          <h2>Vergleich</h2>
+          <p class="muted">${selected.length ? "Im Vergleich ausgewählte Pfade." : "Alle Pfade (kein Vergleich ausgewählt)."}</p>
+          <p class="muted">Annahmen: ${Object.entries(Compensation.ASSUMPTION_LABELS).map(([k, label]) => `${label} ${fmtInt.format(assumptions[k])}`).join(" · ")}</p>
+          <table class="table dossier__table">
+            <thead><tr><th>Pfad</th><th>Positionen</th><th>Vergütung (normalisiert)</th><th>Arbeitsmodell</th></tr></thead>
+            <tbody>
+              ${compared.map(t => {
+                const pos = t.positions || [];
+                const comp = Compensation.aggregate(pos, assumptions);
+                const other = fmtCompOther(Compensation.aggregateOther(pos, assumptions));
+                return `
+                  <tr>
+                    <td><strong>${esc(t.title)}</strong></td>
+                    <td>${pos.length}</td>
+                    <td>${[comp ? `${fmtCompSpan(comp)}<br>typ. ${fmtYear(comp.typical)} · ${esc(comp.bases.join(", "))}` : "", ...other.map(esc)].filter(Boolean).join("<br>") || "–"}</td>
+                    <td>${esc([...new Set(pos.map(x => x.model).filter(Boolean))].join("; ") || "–")}</td>
+                  </tr>
+                `;
+              }).join("")}
+            </tbody>
+          </table>
+        </section>
+
+        <section class="dossier__chapter">
+          <h2>Quellen</h2>
+          <ol class="dossier__sources">
+            ${sources.map(s => `<li>${esc(s.label || "")}${(s.hrefs || []).map(h => `<br><span class="dossier__url">${esc(h)}</span>`).join("")}</li>`).join("")}
+          </ol>
+        </section>
+      </div>
+    `;
+
+    on($("#dossierPrint"), "click", () => window.print());
+  };
+
+  // Unbekannte Route (#/irgendwas)
+  const ViewNotFound = async () => {
+    Outlet.innerHTML = notFoundBlock("Seite nicht gefunden", `Die Adresse „#/${esc(State.route)}“ gehört zu keiner Ansicht.`);
+  };
+
+  // Diagnostics (Schema-Befunde careers.json)
+  const ISSUE_LABELS = { missing: "Fehlend", unknown: "Unbekannt", type: "Typfehler" };
+
+  const ViewDiagnostics = async () => {
+    const issues = State.diagnostics || [];
+    const open = issues.filter(i => !i.resolved);
+    const resolved = issues.filter(i => i.resolved);
+    const migrations = State.migrations || [];
+    const count = (kind) => open.filter(i => i.kind === kind).length;
+
+    Outlet.innerHTML = `
+      <section class="section-space fade-in">
+        <div class="card">
+          <h2 class="section-title">Datenprüfung</h2>
+          <p class="section-subtitle">Abgleich von <code>data/careers.json</code> mit dem erwarteten Schema (meta, profile, tariff, tracks, sources).</p>
+          <div class="overview-grid mt">
+            <article class="card kpi"><h3>Offen</h3><p><strong>${open.length}</strong></p></article>
+            ${Object.keys(ISSUE_LABELS).map(k => `
+              <article class="card kpi"><h3>${ISSUE_LABELS[k]}</h3><p><strong>${count(k)}</strong></p></article>
+            `).join("")}
+          </div>
+          ${issues.length ? `
+            <div class="filters segmented mt" role="tablist" aria-label="Befunde filtern">
+              <button class="btn--sm" data-kind="*" aria-selected="true">Offen</button>
+              ${Object.keys(ISSUE_LABELS).map(k => `<button class="btn--sm" data-kind="${k}" aria-selected="false">${ISSUE_LABELS[k]}</button>`).join("")}
+              <button class="btn--sm" data-kind="resolved" aria-selected="false">Migriert (${resolved.length})</button>
+            </div>
+            <div class="table-wrapper mt">
+              <table class="table diag-table">
+                <thead><tr><th>JSON-Pfad</th><th>Problem</th><th>Erwartet</th><th>Gefunden</th><th>Betroffene Ansicht</th><th>Status</th></tr></thead>
+                <tbody id="diagBody"></tbody>
+              </table>
+            </div>
+          ` : `<p class="muted mt">Keine Abweichungen gefunden.</p>`}
+        </div>
+
+        ${migrations.length ? `
+          <div class="card mt">
+            <h3>Migrationen</h3>
+            <p class="muted">Datenversion ${esc(migrations[0].from)} → ${esc(State.data?.meta?.version || "")}</p>
+            ${migrations.map(m => `
+              <details class="mt">
+                <summary>${esc(m.from)} → ${esc(m.to)}: ${esc(m.label)} <span class="muted">(${m.notes.length})</span></summary>
+                <ul class="bullets small mt">${m.notes.map(n => `<li>${esc(n)}</li>`).join("") || "<li>Keine Änderungen nötig.</li>"}</ul>
+              </details>
+            `).join("")}
+          </div>
+        ` : ""}
+      </section>
+    `;
+
+    const body = $("#diagBody");
+    if (!body) return;
+    const render = (kind) => {
+      const list = kind === "resolved" ? resolved : kind === "*" ? open : open.filter(i => i.kind === kind);
+      body.innerHTML = list.map(i => `
+        <tr>
+          <td><code class="diag-path">${esc(i.path)}</code></td>
+          <td><span class="tag diag-kind diag-kind--${i.kind}">${ISSUE_LABELS[i.kind]}</span>${i.hint ? `<div class="muted small">${esc(i.hint)}</div>` : ""}</td>
+          <td>${esc(i.expected)}</td>
+          <td>${esc(i.actual || "–")}</td>
+          <td>${i.views.length ? i.views.map(v => `<a class="link" href="#/${v === "search" || v === "export" ? "overview" : v}">${VIEW_LABELS[v] || v}</a>`).join(", ") : "–"}</td>
+          <td>${i.resolved ? `<span class="tag diag-kind--resolved">durch Migration behoben</span>` : `<span class="muted">offen</span>`}</td>
+        </tr>
+      `).join("") || `<tr><td colspan="6" class="muted">Keine Befunde in dieser Auswahl.</td></tr>`;
+    };
+    render("*");
+
+    $$(".filters button[data-kind]").forEach(btn => {
+      on(btn, "click", () => {
+        $$(".filters button[data-kind]").forEach(b => b.setAttribute("aria-selected", "false"));
+        btn.setAttribute("aria-selected", "true");
+        render(btn.dataset.kind);
+      });
+    });
+  };
+
   /* --------------------------------------------------------------
    * 6) Command Palette (⌘/Ctrl + K)
    * -------------------------------------------------------------- */
@@ -1192,11 +3970,7 @@
           Router.goto(payload.route || "overview");
           break;
         case "open-track":
-          Router.goto("tracks");
-          setTimeout(() => {
-            const el = $(`.card.track[data-slug="${payload.slug}"]`);
-            if (el) el.querySelector(".more")?.click();
-          }, 50);
+          Router.goto(`tracks/${payload.slug}`);
           break;
         case "open-source":
           Router.goto("sources");
@@ -1213,6 +3987,12 @@
       { title: "Tarif-Rechner starten", subtitle: "Navigation", action: "nav", payload: { route: "calculator" } },
       { title: "Vergleich aufrufen", subtitle: "Navigation", action: "nav", payload: { route: "compare" } },
       { title: "Quellen lesen", subtitle: "Navigation", action: "nav", payload: { route: "sources" } },
+      { title: "Szenarien vergleichen", subtitle: "Tarif-Rechner", action: "nav", payload: { route: "scenarios" } },
+      { title: "Freelance vs. angestellt (Break-even)", subtitle: "Tarif-Rechner", action: "nav", payload: { route: "freelance" } },
+      { title: "Tarifstände vergleichen", subtitle: "Tarif", action: "nav", payload: { route: "tariff" } },
+      { title: "Neuen Tarifstand anlegen", subtitle: "Tarif-Werkzeuge", action: "nav", payload: { route: "tariff-tools" } },
+      { title: "Portfolio drucken / PDF", subtitle: "Export", action: "nav", payload: { route: "print" } },
+      { title: "Datenprüfung anzeigen", subtitle: "Diagnose", action: "nav", payload: { route: "diagnostics" } },
     ];
 
     const search = (q) => {
@@ -1252,22 +4032,53 @@
   };
 
   /* --------------------------------------------------------------
-   * 7) Export (Markdown Snapshot)
+   * 7) Export (Menü: Markdown Snapshot / PDF über #/print, Datei-Download)
    * -------------------------------------------------------------- */
+  // Datei im Browser speichern (Blob + temporärer Download-Link)
+  const downloadFile = (content, filename, type) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    URL.revokeObjectURL(url);
+    a.remove();
+  };
+
   const initExport = () => {
     const btn = $("#export-btn");
-    if (!btn) return;
-    on(btn, "click", () => {
-      const md = buildMarkdownExport();
-      const blob = new Blob([md], { type: "text/markdown;charset=utf-8" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `Karriere-Portfolio_Markus-Lurz_${new Date().toISOString().slice(0,10)}.md`;
-      document.body.appendChild(a);
-      a.click();
-      URL.revokeObjectURL(url);
-      a.remove();
+    const menu = $("#export-menu");
+    if (!btn || !menu) return;
+    const toggle = (open) => {
+      menu.hidden = !open;
+      btn.setAttribute("aria-expanded", String(open));
+      if (open) menu.querySelector("[role=menuitem]")?.focus();
+    };
+    on(btn, "click", () => toggle(menu.hidden));
+    on(document, "click", (e) => {
+      if (!menu.hidden && !e.target.closest("#export-menu, #export-btn")) toggle(false);
+    });
+    on(menu, "keydown", (e) => {
+      if (e.key === "Escape") {
+        toggle(false);
+        btn.focus();
+      }
+    });
+    on(menu, "click", (e) => {
+      const item = e.target.closest("[data-export]");
+      if (!item) return;
+      toggle(false);
+      if (item.dataset.export === "pdf") {
+        Router.goto("print", { print: "1" });
+        return;
+      }
+      if (RESUME_FORMATS[item.dataset.export]) {
+        exportResume(item.dataset.export);
+        return;
+      }
+      downloadFile(buildMarkdownExport(), `Karriere-Portfolio_Markus-Lurz_${new Date().toISOString().slice(0,10)}.md`, "text/markdown;charset=utf-8");
       notifier.success("Export erstellt.");
     });
   };
@@ -1285,6 +4096,9 @@
     lines.push(vers || "- n/a");
     lines.push("");
     lines.push("## Karrierepfade");
+    const assumptions = loadCompAssumptions();
+    lines.push(`_Vergütung normalisiert auf Jahreswerte (Jahresbrutto; Honorar als Umsatz vor Kosten, Partner als Gewinnanteil) – Annahmen: ${Object.entries(Compensation.ASSUMPTION_LABELS).map(([k, label]) => `${label} ${assumptions[k]}`).join(", ")}_`);
+    lines.push("");
     tracks.forEach((t) => {
       lines.push(`### ${t.title}`);
       if (t.summary) lines.push(t.summary);
@@ -1292,8 +4106,13 @@
       const positions = t.positions || (t.employers?.flatMap(e => e.roles?.map(r => ({ ...r, company: e.name }))) || []);
       positions.forEach(p => {
         lines.push(`- **${p.title}** – ${p.company || p.employer || ""}${p.location ? ", " + p.location : ""}`);
-        if (p.salary_min || p.salary_max || p.compensation) {
-          lines.push(`  - Vergütung: ${p.compensation_note || ""} ${p.salary_min ? fmtCurr.format(p.salary_min) : ""}${p.salary_max ? " – " + fmtCurr.format(p.salary_max) : ""}`);
+        const norm = compOf(p);
+        if (norm) {
+          lines.push(`  - Vergütung: ${norm.kind} ${fmtCompSpan(norm)}, typ. ${fmtYear(norm.typical)} (${norm.basisLabel})`);
+          lines.push(`    - Berechnung: ${norm.formula}`);
+          norm.alternatives.forEach(a => lines.push(`    - Alternativ – ${a.kind} (${a.basisLabel}): ${fmtCompSpan(a)} – ${a.formula}`));
+        } else if (p.compensation_note) {
+          lines.push(`  - Vergütung: ${p.compensation_note}`);
         }
         if (p.requirements?.length) lines.push(`  - Anforderungen: ${p.requirements.join("; ")}`);
         if (p.benefits?.length) lines.push(`  - Benefits: ${p.benefits.join("; ")}`);
@@ -1317,12 +4136,40 @@
     Router.init();
 
     // Register routes
-    Router.register("overview", ViewOverview);
-    Router.register("profile", ViewProfile);
-    Router.register("tracks", ViewTracks);
-    Router.register("calculator", ViewCalculator);
-    Router.register("compare", ViewCompare);
-    Router.register("sources", ViewSources);
+    const trackTitle = (params) => findTrack(params.id)?.title || "Pfad nicht gefunden";
+    Router.register("overview", ViewOverview, { title: "Übersicht" });
+    Router.register("profile", ViewProfile, { title: "Profil" });
+    Router.register("tracks", ViewTracks, { title: "Karrierepfade" });
+    Router.register("tracks/:id", ViewTracks, { title: trackTitle });
+    Router.register("tracks/:id/positions/:pid", ViewTracks, {
+      title: (params) => {
+        const pos = positionsOf(findTrack(params.id) || {}).find(p => p.id === params.pid);
+        return pos ? `${pos.title} – ${trackTitle(params)}` : trackTitle(params);
+      }
+    });
+    Router.register("calculator", ViewCalculator, {
+      title: "Tarif-Rechner",
+      // Geänderte, noch nicht berechnete Eingaben; to = null beim Schließen des Tabs (Browser-Rückfrage)
+      beforeLeave: (to) => !calcDirty || (to !== null && window.confirm("Die Eingaben wurden geändert, aber noch nicht berechnet. Tarif-Rechner trotzdem verlassen?"))
+    });
+    Router.register("compare", ViewCompare, { title: "Vergleich" });
+    Router.register("sources", ViewSources, { title: "Quellen" });
+    Router.register("print", ViewPrint, {
+      title: "Portfolio-Dossier",
+      // #/print?print=1 (Export-Menü „PDF“): Druckdialog nach dem Rendern, Query wieder entfernen
+      afterEnter: (to) => {
+        if (!to.query.print) return;
+        Router.replaceQuery({});
+        setTimeout(() => window.print(), 300);
+      }
+    });
+    Router.register("scenarios", ViewScenarios, { title: "Szenarien" });
+    Router.register("statement", ViewStatement, { title: "Entgeltaufstellung" });
+    Router.register("freelance", ViewFreelance, { title: "Freelance vs. angestellt" });
+    Router.register("tariff", ViewTariff, { title: "Tarifstände" });
+    Router.register("tariff-tools", ViewTariffTools, { title: "Tarif-Werkzeuge" });
+    Router.register("diagnostics", ViewDiagnostics, { title: "Datenprüfung" });
+    Router.register("404", ViewNotFound, { title: "Seite nicht gefunden" });
 
     // Command palette & Export
     initCommandPalette();
@@ -0,0 +1,264 @@
+/* ==========================================================================
+   File: js/compensation.js
+   Rolle: Vergütungs-Normalisierung für Positionen (rein, ohne DOM)
+   Ziel:
+   - Uneinheitliche Angaben in tracks[].positions[].compensation auf Jahresbrutto
+     (min / typisch / max) umrechnen
+   - Jede Umrechnung mit Formel und expliziten Annahmen (abrechenbare Tage/Stunden,
+     Bonus-Zielerreichung) nachvollziehbar machen
+   - Grundlage für Pfad-Explorer, Vergleich und Export
+   - Nur Tarif/angestellt ergibt Jahresbrutto; Honorar (Umsatz vor Kosten) und
+     Gewinnanteil (Partner) bleiben eigene Größen und fließen nicht in aggregate ein
+
+   Verwendung:
+   - Browser: window.Compensation
+   - Node (CommonJS): const Compensation = require("./js/compensation.js")
+
+   Unterstützte Felder:
+   - base_month_* [Array]           Tarif-Monatsentgelte je Stufe → × Monatsentgelte/Jahr
+   - base_range_year, employed_base_year                 Grundgehalt p. a. (+ Bonus)
+   - total_pay_range_year, employed_total_estimate_per_year   Gesamtvergütung p. a.
+   - contractor_hourly_range        Honorar €/h → × abrechenbare Stunden/Jahr
+   - day_rate_range                 Tagessatz → × abrechenbare Tage/Jahr
+   - partner_profit_share_estimate  Gewinnanteil Partner p. a. (Alternative)
+   - bonus_target_%                 Bonusziel in % vom Grundgehalt
+   - Fallback: salary_min/salary_max (Datenmigration 2.0.0)
+   ========================================================================== */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Compensation = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DEFAULTS = {
+    monthsPerYear: 12,         // Tarif: Monatsentgelte p. a. (ohne Jahressonderzahlung)
+    billableDays: 200,         // Tagessatz: abrechenbare Tage p. a.
+    billableHours: 1600,       // Honorar: abrechenbare Stunden p. a. (≈ 200 Tage × 8 h)
+    bonusAttainment: 100       // Bonus-Zielerreichung in % (typisch); min 0 %, max = typisch
+  };
+
+  const ASSUMPTION_LABELS = {
+    monthsPerYear: "Monatsentgelte pro Jahr",
+    billableDays: "Abrechenbare Tage pro Jahr",
+    billableHours: "Abrechenbare Stunden pro Jahr",
+    bonusAttainment: "Bonus-Zielerreichung (%)"
+  };
+
+  const BASIS_LABELS = {
+    tarif: "Tarif",
+    employed: "Angestellt",
+    contractor: "Honorar/Freelance",
+    partner: "Partnerschaft"
+  };
+
+  /* --------------------------------------------------------------
+   * 0) Zahlen & Spannen
+   * -------------------------------------------------------------- */
+  const toNumber = (v) => {
+    if (typeof v === "number") return v;
+    const t = String(v ?? "").replace(/[^\d.,]/g, "");
+    if (!t) return NaN;
+    // "110.000" / "110.000,50" → deutsch; "87.5" → Dezimalpunkt
+    if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(t)) return Number(t.replace(/\./g, "").replace(",", "."));
+    return Number(t.replace(",", "."));
+  };
+
+  /** "110000–160000" | "180000–300000+" | 38.03 → { min, max, open } */
+  const parseRange = (v) => {
+    if (v == null || v === "") return null;
+    if (typeof v === "number") return Number.isFinite(v) ? { min: v, max: v, open: false } : null;
+    const text = String(v);
+    const [a, b] = text.split(/\s*[–-]\s*/).map(toNumber);
+    if (!Number.isFinite(a)) return null;
+    return { min: a, max: Number.isFinite(b) ? b : a, open: /\+\s*$/.test(text) };
+  };
+
+  const median = (arr) => {
+    const s = [...arr].sort((x, y) => x - y);
+    const mid = Math.floor(s.length / 2);
+    return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+  };
+
+  const mid = (r) => (r.min + r.max) / 2;
+  const fmt = (n) => Math.round(n).toLocaleString("de-DE");
+
+  /* --------------------------------------------------------------
+   * 1) Regeln je Feld
+   *    → { key, basis, min, typical, max, formula, assumptions: [keys] }
+   * -------------------------------------------------------------- */
+  const RULES = [
+    {
+      match: (k, v) => /^base_month/.test(k) && Array.isArray(v) && v.length,
+      convert: (k, v, a) => {
+        const arr = v.map(toNumber).filter(Number.isFinite);
+        const f = a.monthsPerYear;
+        return {
+          basis: "tarif",
+          min: Math.min(...arr) * f,
+          typical: median(arr) * f,
+          max: Math.max(...arr) * f,
+          formula: `${f} × Tabellenentgelt (Stufe 1–${arr.length}: ${fmt(Math.min(...arr))}–${fmt(Math.max(...arr))} €/Monat); typisch = Median; ohne BD/RB/Zulagen`,
+          assumptions: ["monthsPerYear"]
+        };
+      }
+    },
+    {
+      match: (k) => k === "base_range_year" || k === "employed_base_year",
+      convert: (k, v, a, comp) => {
+        const r = parseRange(v);
+        if (!r) return null;
+        const bonus = toNumber(comp["bonus_target_%"]);
+        if (!(bonus > 0)) {
+          return { basis: "employed", min: r.min, typical: mid(r), max: r.max, formula: `Grundgehalt ${fmt(r.min)}–${fmt(r.max)} €/Jahr; typisch = Mitte` };
+        }
+        const typ = bonus * (a.bonusAttainment / 100) / 100;
+        const top = bonus * Math.max(1, a.bonusAttainment / 100) / 100;
+        return {
+          basis: "employed",
+          min: r.min,
+          typical: mid(r) * (1 + typ),
+          max: r.max * (1 + top),
+          formula: `Grundgehalt ${fmt(r.min)}–${fmt(r.max)} €/Jahr + Bonus ${bonus} % (min 0 %, typisch ${a.bonusAttainment} % Zielerreichung)`,
+          assumptions: ["bonusAttainment"]
+        };
+      }
+    },
+    {
+      match: (k) => k === "total_pay_range_year" || k === "employed_total_estimate_per_year",
+      convert: (k, v) => {
+        const r = parseRange(v);
+        return r && { basis: "employed", min: r.min, typical: mid(r), max: r.max, formula: `Gesamtvergütung ${fmt(r.min)}–${fmt(r.max)} €/Jahr (inkl. Bonus); typisch = Mitte` };
+      }
+    },
+    {
+      match: (k) => k === "contractor_hourly_range",
+      convert: (k, v, a) => {
+        const r = parseRange(v);
+        return r && {
+          basis: "contractor",
+          min: r.min * a.billableHours,
+          typical: mid(r) * a.billableHours,
+          max: r.max * a.billableHours,
+          formula: `${fmt(r.min)}–${fmt(r.max)} €/h × ${fmt(a.billableHours)} h/Jahr (Umsatz vor Abgaben)`,
+          assumptions: ["billableHours"]
+        };
+      }
+    },
+    {
+      match: (k) => k === "day_rate_range",
+      convert: (k, v, a) => {
+        const r = parseRange(v);
+        return r && {
+          basis: "contractor",
+          min: r.min * a.billableDays,
+          typical: mid(r) * a.billableDays,
+          max: r.max * a.billableDays,
+          formula: `${fmt(r.min)}–${fmt(r.max)} €/Tag × ${fmt(a.billableDays)} Tage/Jahr (Umsatz vor Abgaben)`,
+          assumptions: ["billableDays"]
+        };
+      }
+    },
+    {
+      match: (k) => k === "partner_profit_share_estimate",
+      convert: (k, v) => {
+        const r = parseRange(v);
+        return r && { basis: "partner", min: r.min, typical: mid(r), max: r.max, open: r.open, formula: `Gewinnanteil ${fmt(r.min)}–${fmt(r.max)}${r.open ? "+" : ""} €/Jahr (vor Steuern, unternehmerisches Risiko)` };
+      }
+    }
+  ];
+
+  // Reihenfolge für den Hauptwert einer Position (weitere Treffer → alternatives)
+  const PRIORITY = ["tarif", "employed", "contractor", "partner"];
+
+  // Art der Jahresgröße je Basis – nur GROSS_BASES sind untereinander vergleichbar
+  const KIND_LABELS = {
+    tarif: "Jahresbrutto",
+    employed: "Jahresbrutto",
+    contractor: "Umsatz vor Kosten",
+    partner: "Gewinnanteil"
+  };
+  const GROSS_BASES = ["tarif", "employed"];
+
+  /* --------------------------------------------------------------
+   * 2) Normalisierung
+   * -------------------------------------------------------------- */
+  const assumptionsOf = (opts) => ({ ...DEFAULTS, ...Object.fromEntries(Object.entries(opts || {}).filter(([, v]) => Number.isFinite(v))) });
+
+  /**
+   * Position (oder reines compensation-Objekt) normalisieren.
+   * → { min, typical, max, basis, basisLabel, kind, formula, open, assumptions: [{ key, label, value }], alternatives: [...], unmapped: [keys] }
+   *   oder null, wenn keine Angabe in Jahreswerte umrechenbar ist
+   */
+  const normalize = (position, opts) => {
+    const a = assumptionsOf(opts);
+    const comp = position?.compensation || (position && !("title" in position) ? position : {}) || {};
+    const results = [];
+    const unmapped = [];
+
+    Object.entries(comp).forEach(([k, v]) => {
+      const rule = RULES.find(r => r.match(k, v));
+      const out = rule?.convert(k, v, a, comp);
+      if (out) results.push({ key: k, open: false, assumptions: [], ...out });
+      else if (/range|year|hourly|rate|month|estimate/.test(k)) unmapped.push(k);
+    });
+
+    // Fallback: migrierte Jahresspanne ohne auswertbares compensation-Objekt
+    if (!results.length && (position?.salary_min || position?.salary_max)) {
+      const r = { min: position.salary_min || position.salary_max, max: position.salary_max || position.salary_min };
+      results.push({ key: "salary_min/salary_max", basis: "employed", min: r.min, typical: mid(r), max: r.max, open: false, formula: "Jahresspanne aus careers.json", assumptions: [] });
+    }
+    if (!results.length) return null;
+
+    results.sort((x, y) => PRIORITY.indexOf(x.basis) - PRIORITY.indexOf(y.basis));
+    const [main, ...alternatives] = results;
+    const used = new Set(results.flatMap(r => r.assumptions));
+    return {
+      ...main,
+      basisLabel: BASIS_LABELS[main.basis],
+      kind: KIND_LABELS[main.basis],
+      alternatives: alternatives.map(x => ({ ...x, basisLabel: BASIS_LABELS[x.basis], kind: KIND_LABELS[x.basis] })),
+      assumptions: [...used].map(key => ({ key, label: ASSUMPTION_LABELS[key], value: a[key] })),
+      unmapped
+    };
+  };
+
+  // Je Position der erste Wert (Haupt- oder Alternativwert) mit einer der Basen
+  const pick = (positions, opts, bases) => (positions || [])
+    .map(p => normalize(p, opts))
+    .filter(Boolean)
+    .map(n => [n, ...n.alternatives].find(x => bases.includes(x.basis)))
+    .filter(Boolean);
+
+  // min der Minima, max der Maxima, Median der typischen Werte
+  const span = (items) => (items.length ? {
+    min: Math.min(...items.map(x => x.min)),
+    typical: median(items.map(x => x.typical)),
+    max: Math.max(...items.map(x => x.max)),
+    open: items.some(x => x.open),
+    count: items.length,
+    bases: [...new Set(items.map(x => x.basisLabel))]
+  } : null);
+
+  /** Jahresbrutto-Spanne über mehrere Positionen (z. B. eines Pfads) – nur Tarif/angestellt, sonst null */
+  const aggregate = (positions, opts) => span(pick(positions, opts, GROSS_BASES));
+
+  /** Nicht vergleichbare Jahresgrößen getrennt je Basis: [{ basis, basisLabel, kind, min, typical, max, open, count }] */
+  const aggregateOther = (positions, opts) => ["contractor", "partner"]
+    .map(basis => {
+      const s = span(pick(positions, opts, [basis]));
+      return s && { ...s, basis, basisLabel: BASIS_LABELS[basis], kind: KIND_LABELS[basis] };
+    })
+    .filter(Boolean);
+
+  return {
+    DEFAULTS,
+    ASSUMPTION_LABELS,
+    BASIS_LABELS,
+    KIND_LABELS,
+    parseRange,
+    normalize,
+    aggregate,
+    aggregateOther
+  };
+});
@@ -0,0 +1,179 @@
+/* ==========================================================================
+   File: js/data-migrations.js
+   Rolle: Migrationen älterer careers.json-Formen auf das Engine-Schema (rein, ohne DOM)
+   Ziel:
+   - Schrittweise Kette über meta.version (fehlend = 1.0.0) bis DATA_VERSION
+   - Jeder Schritt protokolliert seine Umsetzungen (Diagnose-Ansicht, Tests)
+   - Dieselbe Kette für App und Node-Tests (Engine rechnet auf migrierten Daten)
+
+   Verwendung:
+   - Browser: window.DataMigrations (vor app.js laden)
+   - Node (CommonJS): const DataMigrations = require("./js/data-migrations.js")
+
+   migrate(data) mutiert data in-place:
+   → { version, applied: [{ from, to, label, notes: [String] }] }
+   ========================================================================== */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.DataMigrations = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const isNum = (n) => typeof n === "number" && Number.isFinite(n);
+  const fmtInt = new Intl.NumberFormat("de-DE", { maximumFractionDigits: 0 });
+
+  const parseDeNumber = (txt) => {
+    if (typeof txt === "number") return txt;
+    if (txt == null) return 0;
+    const normalized = String(txt).replace(/\./g, "").replace(/\s/g, "").replace(",", ".");
+    const n = Number(normalized);
+    return Number.isFinite(n) ? n : 0;
+  };
+
+  const DATA_VERSION = "2.0.0";
+
+  // §3b EStG-Sätze je RB-Slot (Nacht 20–6: 25 %, 0–4: 40 %, Sonntag 50 %, Feiertag 125 %)
+  const TAXFREE_3B_DEFAULT = { wd_6_20: 0, wd_4_6: 25, wd_20_24: 25, wd_0_4: 40, sat: 0, sun: 50, hol: 125 };
+
+  const RB_SLOT_PATTERNS = [
+    ["wd_20_24", /werktag\w*\s*20\s*[–-]\s*24/i],
+    ["wd_0_4",   /werktag\w*\s*0\s*[–-]\s*4\b/i],
+    ["wd_4_6",   /werktag\w*\s*4\s*[–-]\s*6\b/i],
+    ["wd_6_20",  /werktag\w*\s*6\s*[–-]\s*20/i],
+    ["sat",      /samstag/i],
+    ["sun",      /sonntag/i],
+    ["hol",      /feiertag/i],
+  ];
+
+  // Fehlende Slots aus verwandten Fenstern ableiten (Samstag ist Werktag; 4–6 wie 20–24)
+  const RB_SLOT_DERIVED = { sat: "wd_6_20", wd_4_6: "wd_20_24" };
+
+  const parseRange = (txt) => {
+    const parts = String(txt).split(/[–-]/).map(x => parseDeNumber(x.replace(/[^\d.,]/g, "")));
+    const [min, max = min] = parts;
+    return min ? { min, max: max || min } : null;
+  };
+
+  const ANNUAL_RANGE_KEYS = ["employed_total_estimate_per_year", "employed_base_year", "base_range_year", "total_pay_range_year"];
+
+  const MIGRATIONS = [
+    {
+      from: "1.0.0", to: "1.1.0",
+      label: "Tarif: rb_factors_matrix → rb_factors/rb_taxfree, amount_* → eur_*",
+      up: (data, log) => {
+        const t = data.tariff || {};
+        const matrix = t.rb_factors_matrix;
+        if (matrix && !t.rb_factors) {
+          const factors = {};
+          const taxfree = {};
+          (matrix.examples || []).forEach(ex => {
+            const hit = RB_SLOT_PATTERNS.find(([, re]) => re.test(ex.slot || ""));
+            if (!hit) { log(`RB-Slot „${ex.slot}“ nicht zuordenbar – übersprungen`); return; }
+            const slot = hit[0];
+            const lt12 = ex["factor_<12h_%"];
+            const ge12 = ex["factor_≥12h_%"];
+            const special = ex["sunday/holiday_≥12h_%"];
+            const I = lt12 ?? ge12;
+            const II = ge12 ?? lt12;
+            // Stufe III: eigene Spalte, sonst II; Sonn-/Feiertagsfaktor nur für die Slots sun/hol
+            const III = ex["factor_III_%"] ?? (["sun", "hol"].includes(slot) ? special ?? II : II);
+            factors[slot] = { I, II, III };
+            taxfree[slot] = isNum(ex["taxfree_%"]) ? ex["taxfree_%"] : TAXFREE_3B_DEFAULT[slot];
+            log(`${slot}: I=${I} (<12 h), II=${II} (≥12 h), III=${III} – aus „${ex.slot}“`);
+            if (special != null && !["sun", "hol"].includes(slot)) log(`${slot}: Sonn-/Feiertagsfaktor ${special} % ignoriert (Werktags-Slot)`);
+          });
+          Object.entries(RB_SLOT_DERIVED).forEach(([slot, base]) => {
+            if (factors[slot] || !factors[base]) return;
+            factors[slot] = { ...factors[base] };
+            taxfree[slot] = TAXFREE_3B_DEFAULT[slot];
+            log(`${slot}: abgeleitet von ${base} (kein eigener Eintrag)`);
+          });
+          t.rb_factors = factors;
+          t.rb_taxfree = t.rb_taxfree || taxfree;
+          delete t.rb_factors_matrix;
+        }
+        [["schichtzulage", "amount_eur_per_month", "eur_per_month"],
+         ["wechselschicht_nacht_eur_per_h", "amount_eur_per_hour", "eur_per_hour"]].forEach(([list, from, to]) => {
+          (t[list] || []).forEach(it => {
+            if (it[from] === undefined || it[to] !== undefined) return;
+            it[to] = it[from];
+            delete it[from];
+            log(`${list} ${it.valid_from}: ${from} → ${to}`);
+          });
+        });
+      }
+    },
+    {
+      from: "1.1.0", to: "1.2.0",
+      label: "Quellen: href → hrefs",
+      up: (data, log) => {
+        (data.sources || []).forEach(s => {
+          if (s.href === undefined || s.hrefs) return;
+          s.hrefs = [s.href].filter(Boolean);
+          delete s.href;
+          log(`Quelle „${s.label || s.hrefs[0]}“: href → hrefs`);
+        });
+      }
+    },
+    {
+      from: "1.2.0", to: "2.0.0",
+      label: "Positionen: compensation → salary_min/salary_max (€/Jahr)",
+      up: (data, log) => {
+        (data.tracks || []).forEach(t => (t.positions || []).forEach(p => {
+          const c = p.compensation;
+          if (!c || p.salary_min || p.salary_max) return;
+          let range = null;
+          let basis = "";
+          if (Array.isArray(c.base_month_from_2025_04) && c.base_month_from_2025_04.length) {
+            const arr = c.base_month_from_2025_04.map(parseDeNumber);
+            range = { min: Math.min(...arr) * 12, max: Math.max(...arr) * 12 };
+            basis = "12 × Tabellenentgelt 04/2025";
+          } else {
+            const key = ANNUAL_RANGE_KEYS.find(k => c[k]);
+            if (key) { range = parseRange(c[key]); basis = key; }
+          }
+          if (range) {
+            p.salary_min = range.min;
+            p.salary_max = range.max;
+            p.salary_period = "year";
+            log(`${p.id || p.title}: ${basis} → ${fmtInt.format(range.min)}–${fmtInt.format(range.max)} €/Jahr`);
+          } else if (!p.compensation_note) {
+            // Honorar-/Tagessätze ohne Annahmen nicht in Jahreswerte umrechnen
+            const hints = [
+              c.contractor_hourly_range ? `${c.contractor_hourly_range} €/h (Honorar)` : null,
+              c.day_rate_range ? `${c.day_rate_range} €/Tag` : null,
+              c.w2_w3_hint || null
+            ].filter(Boolean);
+            if (hints.length) {
+              p.compensation_note = hints.join(" · ");
+              log(`${p.id || p.title}: keine Jahresspanne – Hinweis „${p.compensation_note}“`);
+            }
+          }
+        }));
+      }
+    }
+  ];
+
+  /** Kette ab meta.version anwenden; setzt data.meta.version auf den erreichten Stand */
+  const migrate = (data) => {
+    data.meta = data.meta || {};
+    const applied = [];
+    let version = data.meta.version || "1.0.0";
+    for (let step = MIGRATIONS.find(m => m.from === version); step; step = MIGRATIONS.find(m => m.from === version)) {
+      const notes = [];
+      step.up(data, (msg) => notes.push(msg));
+      applied.push({ from: step.from, to: step.to, label: step.label, notes });
+      version = step.to;
+    }
+    data.meta.version = version;
+    return { version, applied };
+  };
+
+  return {
+    DATA_VERSION,
+    TAXFREE_3B_DEFAULT,
+    MIGRATIONS,
+    migrate
+  };
+});
@@ -0,0 +1,134 @@
+/* ==========================================================================
+   File: js/freelance.js
+   Rolle: Break-even Freelance vs. Anstellung (rein, ohne DOM)
+   Ziel:
+   - Honorar (€/h oder Tagessatz) mit Auslastung, Urlaub, Krankheit und Feiertagen
+     auf abrechenbare Tage und Jahresumsatz umrechnen
+   - Selbst getragene Kosten abziehen: Kranken-/Pflegeversicherung, Ärzteversorgung
+     (voller Beitrag bis BBG), Berufshaftpflicht, Berufsgenossenschaft, sonstige Kosten
+   - Vergleich mit dem Tarifpaket (Jahresbrutto − AN-Sozialabgaben + AG-Anteil ZVK)
+   - Break-even-Satz und nötige abrechenbare Tage per Bisektion
+
+   Verwendung:
+   - Browser: window.Freelance
+   - Node (CommonJS): const Freelance = require("./js/freelance.js")
+
+   Vergleichsgröße (beide Seiten vor Einkommensteuer):
+   - Angestellt: Jahresbrutto − AN-Anteile KV/PV/ÄV/AV + AG-Anteil ZVK
+   - Freelance:  Umsatz − KV/PV − Ärzteversorgung (voll) − Haftpflicht − BG − Kosten
+   Vereinfachungen:
+   - Ärzteversorgung als Prozentsatz des Gewinns (vor ÄV), gedeckelt auf die BBG RV
+   - Keine Umsatzsteuer (ärztliche Heilbehandlung i. d. R. befreit), keine Gewerbesteuer
+   ========================================================================== */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Freelance = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  const DEFAULTS = {
+    mode: "hour",         // "hour" (€/h) | "day" (Tagessatz)
+    rate: 100,            // €/h bzw. €/Tag
+    hoursPerDay: 8,       // abrechenbare Stunden je Tag (nur mode "hour")
+    utilization: 85,      // Auslastung der verfügbaren Tage in %
+    vacationDays: 30,
+    sickDays: 10,
+    kvMonth: 950,         // KV + PV, freiwillig gesetzlich/privat, €/Monat
+    aevPct: 18.6,         // Ärzteversorgung, voller Beitragssatz in %
+    liability: 1500,      // Berufshaftpflicht €/Jahr
+    bg: 300,              // Berufsgenossenschaft €/Jahr
+    otherCosts: 3000,     // Fortbildung, Kongresse, Ausstattung, Steuerberatung €/Jahr
+    zvkAgPct: 2.0         // AG-Anteil Zusatzversorgung in % des Tabellenentgelts; App: tariff.zusatzversorgung.ag_pct
+  };
+
+  /* --------------------------------------------------------------
+   * 1) Arbeitstage
+   * -------------------------------------------------------------- */
+  /** Werktage Mo–Fr eines Jahres abzüglich Feiertage an Werktagen (holidays: ["YYYY-MM-DD", …]) */
+  const workdays = (year, holidays = []) => {
+    const off = new Set(holidays);
+    let n = 0;
+    for (let d = new Date(year, 0, 1); d.getFullYear() === year; d.setDate(d.getDate() + 1)) {
+      const wd = d.getDay();
+      if (wd === 0 || wd === 6) continue;
+      const iso = `${year}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+      if (!off.has(iso)) n++;
+    }
+    return n;
+  };
+
+  /** Verfügbare und abrechenbare Tage: { available, billable } */
+  const days = (opts, workdaysPerYear) => {
+    const o = { ...DEFAULTS, ...opts };
+    const available = Math.max(0, num(workdaysPerYear) - num(o.vacationDays) - num(o.sickDays));
+    return { available, billable: available * num(o.utilization) / 100 };
+  };
+
+  /* --------------------------------------------------------------
+   * 2) Jahresrechnung
+   *    ctx: { billableDays, aevCap } (aevCap = BBG RV €/Jahr)
+   * -------------------------------------------------------------- */
+  const dayRate = (o) => (o.mode === "day" ? num(o.rate) : num(o.rate) * num(o.hoursPerDay));
+
+  const freelance = (opts, ctx = {}) => {
+    const o = { ...DEFAULTS, ...opts };
+    const revenue = dayRate(o) * num(ctx.billableDays);
+    const kv = num(o.kvMonth) * 12;
+    const fixed = num(o.liability) + num(o.bg) + num(o.otherCosts);
+    const profit = revenue - kv - fixed;
+    const aevBase = Math.max(0, ctx.aevCap ? Math.min(profit, ctx.aevCap) : profit);
+    const aev = aevBase * num(o.aevPct) / 100;
+    return {
+      revenue: round2(revenue),
+      kv: round2(kv),
+      aev: round2(aev),
+      liability: num(o.liability),
+      bg: num(o.bg),
+      otherCosts: num(o.otherCosts),
+      value: round2(profit - aev)
+    };
+  };
+
+  /** Tarifpaket: { gross, social, zvkBase } je Jahr → Vergleichswert */
+  const employed = ({ gross = 0, social = 0, zvkBase = 0 } = {}, opts = {}) => {
+    const o = { ...DEFAULTS, ...opts };
+    const zvkAg = num(zvkBase) * num(o.zvkAgPct) / 100;
+    return { gross: round2(gross), social: round2(social), zvkAg: round2(zvkAg), value: round2(gross - social + zvkAg) };
+  };
+
+  /* --------------------------------------------------------------
+   * 3) Break-even (Bisektion; f monoton steigend in x)
+   * -------------------------------------------------------------- */
+  const bisect = (f, target, lo, hi, eps = 0.01) => {
+    if (f(hi) < target) return null;
+    for (let i = 0; i < 100 && hi - lo > eps; i++) {
+      const mid = (lo + hi) / 2;
+      if (f(mid) < target) lo = mid;
+      else hi = mid;
+    }
+    return hi;
+  };
+
+  /** Satz (€/h bzw. €/Tag), bei dem der Freelance-Wert dem Tarifpaket entspricht */
+  const breakEvenRate = (opts, ctx, target) =>
+    bisect(rate => freelance({ ...opts, rate }, ctx).value, target, 0, 10000);
+
+  /** Abrechenbare Tage, die beim gewählten Satz nötig sind (null: auch mit 366 Tagen nicht erreichbar) */
+  const requiredDays = (opts, ctx, target) =>
+    bisect(d => freelance(opts, { ...ctx, billableDays: d }).value, target, 0, 366);
+
+  return {
+    DEFAULTS,
+    workdays,
+    days,
+    freelance,
+    employed,
+    bisect,
+    breakEvenRate,
+    requiredDays
+  };
+});
@@ -0,0 +1,138 @@
+/* ==========================================================================
+   File: js/holidays.js
+   Rolle: Gesetzliche Feiertage Deutschland (offline, rein, ohne DOM)
+   Ziel:
+   - Feste und bewegliche (Ostern-basierte) Feiertage je Bundesland
+   - Grundlage für Feiertagsstunden im Tarif-Rechner, Dienstplan-Import und Projektion
+
+   Verwendung:
+   - Browser: window.Holidays
+   - Node (CommonJS): const Holidays = require("./js/holidays.js")
+
+   Hinweis:
+   - Nur landesweite Feiertage. Regional begrenzte Tage (z. B. Fronleichnam in Teilen
+     Sachsens/Thüringens, Mariä Himmelfahrt in Teilen Bayerns, Augsburger Friedensfest)
+     sind nicht enthalten.
+   ========================================================================== */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Holidays = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const isoDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+
+  const STATES = {
+    BW: "Baden-Württemberg",
+    BY: "Bayern",
+    BE: "Berlin",
+    BB: "Brandenburg",
+    HB: "Bremen",
+    HH: "Hamburg",
+    HE: "Hessen",
+    MV: "Mecklenburg-Vorpommern",
+    NI: "Niedersachsen",
+    NW: "Nordrhein-Westfalen",
+    RP: "Rheinland-Pfalz",
+    SL: "Saarland",
+    SN: "Sachsen",
+    ST: "Sachsen-Anhalt",
+    SH: "Schleswig-Holstein",
+    TH: "Thüringen"
+  };
+
+  const DEFAULT_STATE = "SN";
+
+  /** Ostersonntag (Gaußsche Osterformel, gregorianisch) */
+  const easterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+  };
+
+  /** Buß- und Bettag: Mittwoch vor dem 23. November */
+  const bussUndBettag = (year) => {
+    const d = new Date(year, 10, 22);
+    return addDays(d, -((d.getDay() - 3 + 7) % 7));
+  };
+
+  /**
+   * Regeln: { name, date(year, easter) → Date, states: "*" | [..], from?: Jahr }
+   */
+  const RULES = [
+    { name: "Neujahr", date: (y) => new Date(y, 0, 1), states: "*" },
+    { name: "Heilige Drei Könige", date: (y) => new Date(y, 0, 6), states: ["BW", "BY", "ST"] },
+    { name: "Internationaler Frauentag", date: (y) => new Date(y, 2, 8), states: ["BE"], from: 2019 },
+    { name: "Internationaler Frauentag", date: (y) => new Date(y, 2, 8), states: ["MV"], from: 2023 },
+    { name: "Karfreitag", date: (y, e) => addDays(e, -2), states: "*" },
+    { name: "Ostersonntag", date: (y, e) => e, states: ["BB"] },
+    { name: "Ostermontag", date: (y, e) => addDays(e, 1), states: "*" },
+    { name: "Tag der Arbeit", date: (y) => new Date(y, 4, 1), states: "*" },
+    { name: "Christi Himmelfahrt", date: (y, e) => addDays(e, 39), states: "*" },
+    { name: "Pfingstsonntag", date: (y, e) => addDays(e, 49), states: ["BB"] },
+    { name: "Pfingstmontag", date: (y, e) => addDays(e, 50), states: "*" },
+    { name: "Fronleichnam", date: (y, e) => addDays(e, 60), states: ["BW", "BY", "HE", "NW", "RP", "SL"] },
+    { name: "Mariä Himmelfahrt", date: (y) => new Date(y, 7, 15), states: ["SL"] },
+    { name: "Weltkindertag", date: (y) => new Date(y, 8, 20), states: ["TH"], from: 2019 },
+    { name: "Tag der Deutschen Einheit", date: (y) => new Date(y, 9, 3), states: "*" },
+    { name: "Reformationstag", date: (y) => new Date(y, 9, 31), states: ["BB", "MV", "SN", "ST", "TH"] },
+    { name: "Reformationstag", date: (y) => new Date(y, 9, 31), states: ["HB", "HH", "NI", "SH"], from: 2018 },
+    { name: "Allerheiligen", date: (y) => new Date(y, 10, 1), states: ["BW", "BY", "NW", "RP", "SL"] },
+    { name: "Buß- und Bettag", date: (y) => bussUndBettag(y), states: ["SN"] },
+    { name: "1. Weihnachtstag", date: (y) => new Date(y, 11, 25), states: "*" },
+    { name: "2. Weihnachtstag", date: (y) => new Date(y, 11, 26), states: "*" }
+  ];
+
+  const cache = new Map();
+
+  /** Alle Feiertage eines Jahres für ein Bundesland: [{ date: "YYYY-MM-DD", name }] */
+  const list = (year, state = DEFAULT_STATE) => {
+    const key = `${year}:${state}`;
+    if (cache.has(key)) return cache.get(key);
+    const easter = easterSunday(year);
+    const out = RULES
+      .filter(r => (r.states === "*" || r.states.includes(state)) && (!r.from || year >= r.from))
+      .map(r => ({ date: isoDate(r.date(year, easter)), name: r.name }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    cache.set(key, out);
+    return out;
+  };
+
+  /** Feiertage im Monat (month 1–12) */
+  const inMonth = (year, month, state = DEFAULT_STATE) =>
+    list(year, state).filter(h => h.date.startsWith(`${year}-${pad(month)}-`));
+
+  /** Feiertag an diesem Tag? Liefert den Namen oder null */
+  const nameOf = (date, state = DEFAULT_STATE) => {
+    const d = date instanceof Date ? date : new Date(date);
+    const iso = isoDate(d);
+    return (list(d.getFullYear(), state).find(h => h.date === iso) || {}).name || null;
+  };
+
+  const isHoliday = (date, state = DEFAULT_STATE) => nameOf(date, state) !== null;
+
+  return {
+    STATES,
+    DEFAULT_STATE,
+    easterSunday,
+    list,
+    inMonth,
+    nameOf,
+    isHoliday
+  };
+});
@@ -0,0 +1,298 @@
+/* ==========================================================================
+   File: js/net-salary.js
+   Rolle: Brutto-Netto-Rechnung (offline, rein, ohne DOM)
+   Ziel:
+   - Lohnsteuer nach § 32a EStG (Tarif 2025/2026) inkl. Steuerklassen I–VI
+     (V/VI über das Verfahren MST5-6 des Programmablaufplans)
+   - Solidaritätszuschlag (Freigrenze/Milderungszone), Kirchensteuer (Sachsen 9 %),
+     Kinderfreibeträge wirken nur auf Soli/KiSt
+   - Sozialversicherung mit Beitragsbemessungsgrenzen; Ärzteversorgung statt gesetzlicher RV
+   - Arbeitnehmeranteil Zusatzversorgung (ZVK)
+   - § 3b EStG: steuer-/beitragsfreier Anteil von Nacht-, Sonntags- und Feiertagszuschlägen
+     (Grundlohn-Deckel 50 €/h Steuer, 25 €/h SV)
+
+   Verwendung:
+   - Browser: window.NetSalary
+   - Node (CommonJS): const NetSalary = require("./js/net-salary.js")
+
+   Vereinfachungen:
+   - Monatlicher Lohnsteuerabzug = Jahreslohnsteuer auf 12 × Monatslohn / 12
+   - Nur gesetzliche KV (auch freiwillig versichert); keine PKV-Zuschüsse
+   - Pflegeversicherung mit Sachsen-Sonderregelung (höherer Arbeitnehmeranteil)
+   ========================================================================== */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.NetSalary = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /* --------------------------------------------------------------
+   * 0) Helpers
+   * -------------------------------------------------------------- */
+  const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : Number(v) || 0);
+  const floor = Math.floor;
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  /* --------------------------------------------------------------
+   * 1) Parameter je Kalenderjahr
+   * -------------------------------------------------------------- */
+  const PARAMS = {
+    2025: {
+      tax: {
+        gfb: 12096, z1: 17443, z2: 68480, z3: 277825,
+        a1: 932.30, b1: 1400, a2: 176.64, b2: 2397, c2: 1015.13,
+        k4: 10911.92, k5: 19246.67,
+        w1: 13785, w2: 34240, w3: 222260,   // MST5-6
+        kfb: 9600,                          // Kinderfreibetrag inkl. BEA je Zähler 1,0
+        soliFrei: 19950,
+        anp: 1230, sap: 36, efa: 4260,
+        mindestVsp: { pct: 0.12, max: 1900, maxIII: 3000 },
+        vspAlv: false
+      },
+      sv: {
+        bbgKV: 5512.50, bbgRV: 8050,        // €/Monat
+        kv: 7.3, kvErm: 7.0, kvZusatz: 2.5, // Arbeitnehmer %; Zusatzbeitrag (Durchschnitt) gesamt
+        pv: 2.3, pvKinderlos: 0.6, pvAbschlag: 0.25,
+        rv: 9.3, av: 1.3
+      }
+    },
+    2026: {
+      tax: {
+        gfb: 12348, z1: 17799, z2: 69878, z3: 277825,
+        a1: 914.51, b1: 1400, a2: 173.10, b2: 2397, c2: 1034.87,
+        k4: 11135.63, k5: 19470.38,
+        w1: 14071, w2: 34939, w3: 222260,
+        kfb: 9756,
+        soliFrei: 20350,
+        anp: 1230, sap: 36, efa: 4260,
+        mindestVsp: null,                   // ab 2026 entfallen
+        vspAlv: true                        // ab 2026 Teilbetrag Arbeitslosenversicherung
+      },
+      sv: {
+        bbgKV: 5812.50, bbgRV: 8450,
+        kv: 7.3, kvErm: 7.0, kvZusatz: 2.9,
+        pv: 2.3, pvKinderlos: 0.6, pvAbschlag: 0.25,
+        rv: 9.3, av: 1.3
+      }
+    }
+  };
+
+  const YEARS = Object.keys(PARAMS).map(Number).sort((a, b) => a - b);
+
+  /** Parameter für ein Jahr; außerhalb des Bereichs nächstliegendes Jahr (exact=false) */
+  const paramsFor = (year) => {
+    const y = clampYear(num(year));
+    return { year: y, exact: y === num(year), ...PARAMS[y] };
+  };
+  const clampYear = (y) => Math.min(YEARS[YEARS.length - 1], Math.max(YEARS[0], y || YEARS[0]));
+
+  const DEFAULTS = {
+    stkl: 1,              // Steuerklasse I–VI (1–6)
+    kinder: 0,            // Kinderfreibetragszähler (0,5-Schritte)
+    kirche: false,        // Kirchensteuerpflicht
+    kirchePct: 9,         // Sachsen
+    kvZusatz: null,       // null → Durchschnitt des Jahres
+    pvKinder: 0,          // Kinder (für PV-Zuschlag/-Abschlag)
+    versorgung: "aev",    // "aev" (Ärzteversorgung) | "drv"
+    zvkPct: 2.0           // AN-Anteil Zusatzversorgung in %; App: tariff.zusatzversorgung.an_pct
+  };
+
+  /* --------------------------------------------------------------
+   * 2) Einkommensteuertarif § 32a & MST5-6
+   * -------------------------------------------------------------- */
+  const tarif = (zvE, t) => {
+    const x = floor(Math.max(0, zvE));
+    if (x <= t.gfb) return 0;
+    if (x <= t.z1) {
+      const y = (x - t.gfb) / 10000;
+      return floor((t.a1 * y + t.b1) * y);
+    }
+    if (x <= t.z2) {
+      const z = (x - t.z1) / 10000;
+      return floor((t.a2 * z + t.b2) * z + t.c2);
+    }
+    if (x <= t.z3) return floor(0.42 * x - t.k4);
+    return floor(0.45 * x - t.k5);
+  };
+
+  const up56 = (zx, t) => {
+    const st1 = tarif(zx * 1.25, t);
+    const st2 = tarif(zx * 0.75, t);
+    return Math.max((st1 - st2) * 2, floor(zx * 0.14));
+  };
+
+  const mst56 = (zvE, t) => {
+    const zzx = floor(Math.max(0, zvE));
+    if (zzx > t.w2) {
+      const st = up56(t.w2, t);
+      return zzx > t.w3
+        ? floor(st + (t.w3 - t.w2) * 0.42 + (zzx - t.w3) * 0.45)
+        : floor(st + (zzx - t.w2) * 0.42);
+    }
+    const st = up56(zzx, t);
+    if (zzx > t.w1) {
+      const hoch = floor(up56(t.w1, t) + (zzx - t.w1) * 0.42);
+      return Math.min(hoch, st);
+    }
+    return st;
+  };
+
+  const incomeTax = (zvE, year, stkl = 1) => {
+    const { tax: t } = paramsFor(year);
+    if (stkl === 3) return 2 * tarif(zvE / 2, t);
+    if (stkl >= 5) return mst56(zvE, t);
+    return tarif(zvE, t);
+  };
+
+  /* --------------------------------------------------------------
+   * 3) Sozialversicherung (Monat)
+   * -------------------------------------------------------------- */
+  const pvRate = (sv, pvKinder) => {
+    const k = floor(num(pvKinder));
+    if (k === 0) return sv.pv + sv.pvKinderlos;
+    return sv.pv - sv.pvAbschlag * (Math.min(k, 5) - 1);
+  };
+
+  const social = (svGross, year, opts = {}) => {
+    const o = { ...DEFAULTS, ...opts };
+    const { sv } = paramsFor(year);
+    const zusatz = o.kvZusatz == null ? sv.kvZusatz : num(o.kvZusatz);
+    const baseKV = Math.min(Math.max(0, svGross), sv.bbgKV);
+    const baseRV = Math.min(Math.max(0, svGross), sv.bbgRV);
+    const kvPct = sv.kv + zusatz / 2;
+    const pvPct = pvRate(sv, o.pvKinder);
+    const kv = round2(baseKV * kvPct / 100);
+    const pv = round2(baseKV * pvPct / 100);
+    const rv = round2(baseRV * sv.rv / 100);
+    const av = round2(baseRV * sv.av / 100);
+    return {
+      baseKV, baseRV,
+      kv: { pct: kvPct, sum: kv },
+      pv: { pct: pvPct, sum: pv },
+      rv: { pct: sv.rv, sum: rv, label: o.versorgung === "drv" ? "Rentenversicherung" : "Ärzteversorgung" },
+      av: { pct: sv.av, sum: av },
+      total: round2(kv + pv + rv + av)
+    };
+  };
+
+  /* --------------------------------------------------------------
+   * 4) Lohnsteuer, Soli, Kirchensteuer (Jahr → Monat)
+   * -------------------------------------------------------------- */
+  /** Vorsorgepauschale (Jahr) aus steuerpflichtigem Jahresbrutto */
+  const vorsorgepauschale = (annual, year, o) => {
+    const { tax: t, sv } = paramsFor(year);
+    const zusatz = o.kvZusatz == null ? sv.kvZusatz : num(o.kvZusatz);
+    const bKV = Math.min(annual, sv.bbgKV * 12);
+    const bRV = Math.min(annual, sv.bbgRV * 12);
+    const rv = o.versorgung === "drv" ? bRV * sv.rv / 100 : 0; // Versorgungswerk: kein RV-Teilbetrag
+    let kvpv = bKV * (sv.kvErm + zusatz / 2 + pvRate(sv, o.pvKinder)) / 100;
+    if (t.mindestVsp && o.stkl !== 6) {
+      kvpv = Math.max(kvpv, Math.min(annual * t.mindestVsp.pct, o.stkl === 3 ? t.mindestVsp.maxIII : t.mindestVsp.max));
+    }
+    const av = t.vspAlv ? bRV * sv.av / 100 : 0;
+    return Math.ceil(rv + kvpv + av);
+  };
+
+  const lohnsteuer = (monthlyTaxable, year, opts = {}) => {
+    const o = { ...DEFAULTS, ...opts };
+    const stkl = Math.min(6, Math.max(1, floor(num(o.stkl)) || 1));
+    const { tax: t } = paramsFor(year);
+    const annual = Math.max(0, monthlyTaxable) * 12;
+
+    const anp = stkl === 6 ? 0 : Math.min(t.anp, annual);
+    const sap = stkl === 6 ? 0 : t.sap;
+    const efa = stkl === 2 ? t.efa : 0;
+    const vsp = vorsorgepauschale(annual, year, { ...o, stkl });
+    const zvE = Math.max(0, floor(annual - anp - sap - efa - vsp));
+
+    const kfbFactor = stkl === 4 ? 0.5 : stkl >= 5 ? 0 : 1;
+    const zvEKfb = Math.max(0, zvE - num(o.kinder) * t.kfb * kfbFactor);
+
+    const lst = incomeTax(zvE, year, stkl);
+    const bemessung = incomeTax(zvEKfb, year, stkl);
+    const frei = t.soliFrei * (stkl === 3 ? 2 : 1);
+    const soli = bemessung <= frei ? 0 : Math.min(bemessung * 0.055, (bemessung - frei) * 0.119);
+    const kist = o.kirche ? bemessung * num(o.kirchePct) / 100 : 0;
+
+    return {
+      stkl, annual, anp, sap, efa, vsp, zvE, zvEKfb,
+      lst: round2(lst / 12),
+      soli: round2(soli / 12),
+      kist: round2(kist / 12)
+    };
+  };
+
+  /* --------------------------------------------------------------
+   * 5) § 3b EStG – steuerfreie Zuschläge
+   *    items: [{ label, hours, amount, pct }]  pct = Höchstsatz § 3b in % des Grundlohns
+   *    (Sätze je Zuschlag aus der Engine: TariffEngine.TAXFREE_3B bzw. tariff.para11_taxfree)
+   * -------------------------------------------------------------- */
+  const PARA3B = {
+    capTax: 50,       // Grundlohn-Deckel €/h (Steuer)
+    capSV: 25         // Grundlohn-Deckel €/h (Sozialversicherung)
+  };
+
+  const split3b = (items, grundlohn) => {
+    const gTax = Math.min(num(grundlohn), PARA3B.capTax);
+    const gSV = Math.min(num(grundlohn), PARA3B.capSV);
+    const lines = (items || []).filter(i => num(i.amount) > 0).map(i => {
+      const amount = num(i.amount);
+      const limit = num(i.hours) * num(i.pct) / 100;
+      const taxFree = i.hours == null ? amount : Math.min(amount, limit * gTax);
+      const svFree = i.hours == null ? amount : Math.min(amount, limit * gSV);
+      return { ...i, amount: round2(amount), taxFree: round2(taxFree), svFree: round2(svFree) };
+    });
+    return {
+      lines,
+      taxFree: round2(lines.reduce((a, l) => a + l.taxFree, 0)),
+      svFree: round2(lines.reduce((a, l) => a + l.svFree, 0))
+    };
+  };
+
+  /* --------------------------------------------------------------
+   * 6) Gesamtrechnung (Monat)
+   *    input: { year, gross, taxFree, svFree, zvkBase, ...opts }
+   *    gross   = Auszahlung brutto inkl. steuerfreier Anteile
+   *    taxFree = davon steuerfrei (§ 3b), svFree = davon beitragsfrei
+   * -------------------------------------------------------------- */
+  const calculate = (input) => {
+    const o = { ...DEFAULTS, ...input };
+    const p = paramsFor(o.year);
+    const gross = num(o.gross);
+    const taxable = Math.max(0, gross - num(o.taxFree));
+    const svGross = Math.max(0, gross - num(o.svFree));
+
+    const tax = lohnsteuer(taxable, p.year, o);
+    const sv = social(svGross, p.year, o);
+    const zvk = round2(num(o.zvkBase ?? taxable) * num(o.zvkPct) / 100);
+    const deductions = round2(tax.lst + tax.soli + tax.kist + sv.total + zvk);
+
+    return {
+      year: p.year,
+      exact: p.exact,
+      gross: round2(gross),
+      taxable: round2(taxable),
+      svGross: round2(svGross),
+      taxFree: round2(num(o.taxFree)),
+      tax,
+      sv,
+      zvk: { pct: num(o.zvkPct), sum: zvk },
+      deductions,
+      net: round2(gross - deductions)
+    };
+  };
+
+  return {
+    PARAMS,
+    YEARS,
+    DEFAULTS,
+    PARA3B,
+    paramsFor,
+    incomeTax,
+    social,
+    lohnsteuer,
+    split3b,
+    calculate
+  };
+});
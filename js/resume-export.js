@@ -0,0 +1,313 @@
+/* ==========================================================================
+   File: js/resume-export.js
+   Rolle: Lebenslauf-Export aus careers.json › profile (rein, ohne DOM)
+   Ziel:
+   - JSON Resume (resume.json, Schema v1.0.0)
+   - Europass CV (SkillsPassport v3.4) als XML und JSON
+   - Zuordnungsbericht: was übernommen, gekürzt oder nicht abbildbar ist
+
+   Verwendung:
+   - Browser: window.ResumeExport
+   - Node (CommonJS): const ResumeExport = require("./js/resume-export.js")
+
+   Bericht (report): [{ field, target, status: "ok" | "partial" | "missing" | "unmapped", note }]
+   ========================================================================== */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ResumeExport = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const GENERATOR = "Karriere-Portfolio";
+
+  // Länderbezeichnungen → ISO 3166-1 alpha-2
+  const COUNTRIES = {
+    deutschland: "DE", germany: "DE",
+    österreich: "AT", austria: "AT",
+    schweiz: "CH", switzerland: "CH",
+    niederlande: "NL", netherlands: "NL"
+  };
+
+  // Kategorien aus tech_stack / skills
+  const SKILL_LABELS = {
+    modality: "Modalitäten",
+    systems: "Systeme",
+    data_ai: "Daten & KI",
+    clinical: "Klinische Schwerpunkte",
+    technical: "Technik/IT",
+    leadership: "Leitung",
+    research: "Forschung"
+  };
+
+  // Felder, die die Exporter kennen (alles andere landet als „unmapped“ im Bericht)
+  const KNOWN = {
+    profile: ["name", "title", "location", "summary", "education", "experience", "tech_stack", "interests", "skills"],
+    education: ["degree", "institution", "topic", "year", "years", "distinctions"],
+    experience: ["role", "employer", "since", "until", "highlights"]
+  };
+
+  /* --------------------------------------------------------------
+   * 0) Helfer
+   * -------------------------------------------------------------- */
+  const ACADEMIC_RE = /^((?:Prof\.|PD|Dr\.|med\.|rer\.|nat\.|phil\.|h\.\s?c\.|dent\.)\s*)+/;
+
+  /** "Dr. med. Markus Lurz" → { title: "Dr. med.", first: "Markus", last: "Lurz" } */
+  const splitName = (name = "") => {
+    const m = String(name).trim().match(ACADEMIC_RE);
+    const title = m ? m[0].trim() : "";
+    const parts = String(name).trim().slice(m ? m[0].length : 0).split(/\s+/).filter(Boolean);
+    return { title, first: parts.slice(0, -1).join(" "), last: parts[parts.length - 1] || "" };
+  };
+
+  /** "Leipzig, Deutschland" → { city, country, countryCode } */
+  const splitLocation = (loc = "") => {
+    const [city = "", ...rest] = String(loc).split(",").map(s => s.trim());
+    const country = rest.join(", ");
+    return { city, country, countryCode: COUNTRIES[country.toLowerCase()] || "" };
+  };
+
+  /** Jahr/Spanne aus education: year 2019 | years "2011–2017" → { start, end } (YYYY) */
+  const eduPeriod = (e) => {
+    if (e.years) {
+      const [start, end] = String(e.years).split(/\s*[–-]\s*/);
+      return { start: start || "", end: end || "" };
+    }
+    return { start: "", end: e.year ? String(e.year) : "" };
+  };
+
+  /** "2018-02-15" → { year: 2018, month: 2, day: 15 } */
+  const dateParts = (iso) => {
+    const [y, m, d] = String(iso || "").split("-").map(Number);
+    return y ? { year: y, ...(m ? { month: m } : {}), ...(d ? { day: d } : {}) } : null;
+  };
+
+  const skillGroups = (p) => [
+    ...Object.entries(p.tech_stack || {}).map(([k, v]) => ({ key: `tech_stack.${k}`, name: SKILL_LABELS[k] || k.replace(/_/g, " "), keywords: [].concat(v) })),
+    ...Object.entries(p.skills || {}).map(([k, v]) => ({ key: `skills.${k}`, name: SKILL_LABELS[k] || k.replace(/_/g, " "), keywords: [].concat(v) }))
+  ].filter(g => g.keywords.length);
+
+  const createReport = () => {
+    const rows = [];
+    const add = (field, target, status = "ok", note = "") => rows.push({ field, target, status, note });
+    return { rows, add };
+  };
+
+  // Unbekannte Felder (nicht in KNOWN) melden
+  const reportUnknown = (p, add, format) => {
+    Object.keys(p).filter(k => !KNOWN.profile.includes(k)).forEach(k => add(`profile.${k}`, "–", "unmapped", `Kein Gegenstück in ${format}`));
+    ["education", "experience"].forEach(list => (p[list] || []).forEach((e, i) => {
+      Object.keys(e).filter(k => !KNOWN[list].includes(k)).forEach(k => add(`profile.${list}[${i}].${k}`, "–", "unmapped", `Kein Gegenstück in ${format}`));
+    }));
+  };
+
+  /* --------------------------------------------------------------
+   * 1) JSON Resume
+   * -------------------------------------------------------------- */
+  const toJSONResume = (p = {}, opts = {}) => {
+    const { rows, add } = createReport();
+    const name = splitName(p.name);
+    const loc = splitLocation(p.location);
+
+    const resume = {
+      $schema: "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json",
+      basics: {
+        name: p.name || "",
+        label: p.title || "",
+        summary: p.summary || "",
+        location: { city: loc.city, ...(loc.countryCode ? { countryCode: loc.countryCode } : {}) }
+      },
+      work: (p.experience || []).map(e => ({
+        name: e.employer || "",
+        position: e.role || "",
+        ...(e.since ? { startDate: e.since } : {}),
+        ...(e.until ? { endDate: e.until } : {}),
+        highlights: e.highlights || []
+      })),
+      education: (p.education || []).map(e => {
+        const period = eduPeriod(e);
+        return {
+          institution: e.institution || "",
+          studyType: e.degree || "",
+          ...(e.topic ? { area: e.topic } : {}),
+          ...(period.start ? { startDate: period.start } : {}),
+          ...(period.end ? { endDate: period.end } : {})
+        };
+      }),
+      // Datum nur, wenn es im Titel steht (Abschlussjahr ≠ Verleihungsjahr)
+      awards: (p.education || []).flatMap(e => (e.distinctions || []).map(title => {
+        const year = String(title).match(/\b(?:19|20)\d{2}\b/)?.[0];
+        return { title, ...(year ? { date: year } : {}), awarder: e.institution || "" };
+      })),
+      skills: skillGroups(p).map(g => ({ name: g.name, keywords: g.keywords })),
+      interests: (p.interests || []).map(n => ({ name: n })),
+      meta: { version: "v1.0.0", lastModified: opts.generatedAt || new Date().toISOString() }
+    };
+
+    add("profile.name", "basics.name", "ok", name.title ? `Titel „${name.title}“ bleibt Teil des Namens` : "");
+    add("profile.title", "basics.label", p.title ? "ok" : "missing");
+    add("profile.summary", "basics.summary", p.summary ? "ok" : "missing");
+    add("profile.location", "basics.location", loc.countryCode ? "ok" : "partial", loc.countryCode ? "" : `Land „${loc.country}“ ohne ISO-Code`);
+    add("–", "basics.email / basics.phone / basics.url", "missing", "Keine Kontaktdaten in careers.json – vor dem Hochladen ergänzen");
+    (p.experience || []).forEach((e, i) => add(`profile.experience[${i}]`, `work[${i}]`, e.since ? "ok" : "partial", e.since ? "" : "Ohne Startdatum"));
+    (p.education || []).forEach((e, i) => {
+      const period = eduPeriod(e);
+      add(`profile.education[${i}]`, `education[${i}]`, period.start ? "ok" : "partial", period.start ? "" : "Nur Abschlussjahr (endDate)");
+      if (e.distinctions?.length) add(`profile.education[${i}].distinctions`, "awards", "ok", `${e.distinctions.length} Auszeichnung(en); Datum nur, wenn im Titel genannt`);
+    });
+    skillGroups(p).forEach(g => add(`profile.${g.key}`, "skills", "ok", g.name));
+    if (p.interests?.length) add("profile.interests", "interests", "ok");
+    reportUnknown(p, add, "JSON Resume");
+
+    return { resume, report: rows };
+  };
+
+  /* --------------------------------------------------------------
+   * 2) Europass (SkillsPassport v3.4)
+   * -------------------------------------------------------------- */
+  const europassModel = (p = {}, opts = {}) => {
+    const { rows, add } = createReport();
+    const name = splitName(p.name);
+    const loc = splitLocation(p.location);
+
+    const model = {
+      created: opts.generatedAt || new Date().toISOString(),
+      name,
+      loc,
+      headline: p.title || "",
+      summary: p.summary || "",
+      work: (p.experience || []).map(e => ({
+        from: dateParts(e.since),
+        to: dateParts(e.until),
+        current: !e.until,
+        position: e.role || "",
+        activities: (e.highlights || []).join("; "),
+        employer: e.employer || ""
+      })),
+      education: (p.education || []).map(e => {
+        const period = eduPeriod(e);
+        return {
+          from: period.start ? { year: Number(period.start) } : null,
+          to: period.end ? { year: Number(period.end) } : null,
+          title: e.degree || "",
+          activities: [e.topic, ...(e.distinctions || [])].filter(Boolean).join("; "),
+          organisation: e.institution || ""
+        };
+      }),
+      computer: skillGroups(p).filter(g => g.key.startsWith("tech_stack")).map(g => `${g.name}: ${g.keywords.join(", ")}`).join("\n"),
+      jobRelated: skillGroups(p).filter(g => g.key.startsWith("skills")).map(g => `${g.name}: ${g.keywords.join(", ")}`).join("\n"),
+      other: (p.interests || []).length ? `Interessen: ${p.interests.join(", ")}` : ""
+    };
+
+    add("profile.name", "Identification.PersonName", name.last ? "ok" : "partial", name.title ? `Titel „${name.title}“ → Title, Vor-/Nachname getrennt` : "");
+    add("profile.location", "ContactInfo.Address", loc.countryCode ? "ok" : "partial", loc.countryCode ? "Ort und Land (ohne Straße/PLZ)" : `Land „${loc.country}“ ohne ISO-Code`);
+    add("–", "ContactInfo.Email / Telephone", "missing", "Keine Kontaktdaten in careers.json – vor dem Hochladen ergänzen");
+    add("profile.title", "Headline", p.title ? "ok" : "missing");
+    add("profile.summary", "Achievement (Profil)", "partial", "Europass hat kein Profilfeld – als Zusatzinformation (Achievement) übernommen");
+    (p.experience || []).forEach((e, i) => add(`profile.experience[${i}]`, `WorkExperience[${i}]`, "ok", "Highlights → Activities (Fließtext)"));
+    (p.education || []).forEach((e, i) => add(`profile.education[${i}]`, `Education[${i}]`, "ok", e.distinctions?.length ? "Thema und Auszeichnungen → Activities" : ""));
+    skillGroups(p).forEach(g => add(`profile.${g.key}`, g.key.startsWith("tech_stack") ? "Skills.Computer" : "Skills.JobRelated", "partial", "Als Freitext, ohne Niveau-Einstufung"));
+    if (p.interests?.length) add("profile.interests", "Skills.Other", "partial", "Als Freitext");
+    add("–", "Skills.Linguistic", "missing", "Keine Sprachkenntnisse in careers.json");
+    reportUnknown(p, add, "Europass");
+
+    return { model, report: rows };
+  };
+
+  // Europass JSON (v3): Datumsfelder als { Year, Month, Day }
+  const epDate = (d) => (d ? { Year: d.year, ...(d.month ? { Month: d.month } : {}), ...(d.day ? { Day: d.day } : {}) } : undefined);
+
+  const toEuropassJSON = (p, opts) => {
+    const { model: m, report } = europassModel(p, opts);
+    const europass = {
+      SkillsPassport: {
+        Locale: "de",
+        DocumentInfo: { DocumentType: "ECV", CreationDate: m.created, XSDVersion: "V3.4", Generator: GENERATOR },
+        LearnerInfo: {
+          Identification: {
+            PersonName: { ...(m.name.title ? { Title: { Label: m.name.title } } : {}), FirstName: m.name.first, Surname: m.name.last },
+            ContactInfo: {
+              Address: { Contact: { Municipality: m.loc.city, Country: { ...(m.loc.countryCode ? { Code: m.loc.countryCode } : {}), Label: m.loc.country } } }
+            }
+          },
+          Headline: { Type: { Code: "position", Label: "Angestrebte Position" }, Description: { Label: m.headline } },
+          WorkExperience: m.work.map(w => ({
+            Period: { From: epDate(w.from), ...(w.to ? { To: epDate(w.to) } : {}), Current: w.current },
+            Position: { Label: w.position },
+            Activities: w.activities,
+            Employer: { Name: w.employer }
+          })),
+          Education: m.education.map(e => ({
+            Period: { ...(e.from ? { From: epDate(e.from) } : {}), ...(e.to ? { To: epDate(e.to) } : {}) },
+            Title: e.title,
+            Activities: e.activities,
+            Organisation: { Name: e.organisation }
+          })),
+          Skills: {
+            ...(m.jobRelated ? { JobRelated: { Description: m.jobRelated } } : {}),
+            ...(m.computer ? { Computer: { Description: m.computer } } : {}),
+            ...(m.other ? { Other: { Description: m.other } } : {})
+          },
+          ...(m.summary ? { Achievement: [{ Title: { Code: "other", Label: "Profil" }, Description: m.summary }] } : {})
+        }
+      }
+    };
+    return { europass, report };
+  };
+
+  /* --------------------------------------------------------------
+   * 3) Europass XML
+   * -------------------------------------------------------------- */
+  const xmlEsc = (s) => String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+  const el = (tag, content, attrs = "") => (content == null || content === "" ? "" : `<${tag}${attrs}>${content}</${tag}>`);
+  const txt = (tag, value) => el(tag, value ? xmlEsc(value) : "");
+  const xmlDate = (tag, d) => (d ? `<${tag} year="${d.year}"${d.month ? ` month="--${String(d.month).padStart(2, "0")}"` : ""}${d.day ? ` day="---${String(d.day).padStart(2, "0")}"` : ""}/>` : "");
+
+  const toEuropassXML = (p, opts) => {
+    const { model: m, report } = europassModel(p, opts);
+    const body = [
+      el("DocumentInfo", [
+        txt("DocumentType", "ECV"), txt("CreationDate", m.created), txt("XSDVersion", "V3.4"), txt("Generator", GENERATOR)
+      ].join("")),
+      el("LearnerInfo", [
+        el("Identification", [
+          el("PersonName", [m.name.title ? el("Title", txt("Label", m.name.title)) : "", txt("FirstName", m.name.first), txt("Surname", m.name.last)].join("")),
+          el("ContactInfo", el("Address", el("Contact", [
+            txt("Municipality", m.loc.city),
+            el("Country", [txt("Code", m.loc.countryCode), txt("Label", m.loc.country)].join(""))
+          ].join(""))))
+        ].join("")),
+        el("Headline", [el("Type", [txt("Code", "position"), txt("Label", "Angestrebte Position")].join("")), el("Description", txt("Label", m.headline))].join("")),
+        el("WorkExperienceList", m.work.map(w => el("WorkExperience", [
+          el("Period", [xmlDate("From", w.from), xmlDate("To", w.to), txt("Current", String(w.current))].join("")),
+          el("Position", txt("Label", w.position)),
+          txt("Activities", w.activities),
+          el("Employer", txt("Name", w.employer))
+        ].join(""))).join("")),
+        el("EducationList", m.education.map(e => el("Education", [
+          el("Period", [xmlDate("From", e.from), xmlDate("To", e.to)].join("")),
+          txt("Title", e.title),
+          txt("Activities", e.activities),
+          el("Organisation", txt("Name", e.organisation))
+        ].join(""))).join("")),
+        el("Skills", [
+          el("JobRelated", txt("Description", m.jobRelated)),
+          el("Computer", txt("Description", m.computer)),
+          el("Other", txt("Description", m.other))
+        ].join("")),
+        m.summary ? el("AchievementList", el("Achievement", [el("Title", [txt("Code", "other"), txt("Label", "Profil")].join("")), txt("Description", m.summary)].join(""))) : ""
+      ].join(""))
+    ].join("");
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<SkillsPassport xmlns="http://europass.cedefop.europa.eu/Europass" locale="de">${body}</SkillsPassport>\n`;
+    return { xml, report };
+  };
+
+  return {
+    SKILL_LABELS,
+    splitName,
+    splitLocation,
+    toJSONResume,
+    toEuropassJSON,
+    toEuropassXML
+  };
+});
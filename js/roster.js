@@ -0,0 +1,322 @@
+/* ==========================================================================
+   File: js/roster.js
+   Rolle: Dienstplan-Import (CSV/iCalendar) für den Tarif-Rechner (rein, ohne DOM)
+   Ziel:
+   - Dienste mit Beginn/Ende/Typ aus CSV oder .ics lesen
+   - Jeden Dienst in die Zeitfenster des Rechners zerlegen:
+     BD (gesamt, Nacht 21–6, Feiertag), RB-Slots (Werktag 6–20/4–6/20–24/0–4, Sa, So, Feiertag),
+     § 11 (Wechselschicht-Nacht, Sonntag, Feiertag)
+   - Monatssummen passend zu TariffEngine.calculate()-Eingaben
+
+   Verwendung:
+   - Browser: window.Roster
+   - Node (CommonJS): const Roster = require("./js/roster.js")
+
+   Dienst-Typen: BD (Bereitschaftsdienst), RB (Rufbereitschaft), WS (Wechselschicht), SO (Sonntagsarbeit)
+   ========================================================================== */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Roster = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /* --------------------------------------------------------------
+   * 0) Helpers
+   * -------------------------------------------------------------- */
+  const HOUR = 3600 * 1000;
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  const TYPES = {
+    BD: "Bereitschaftsdienst",
+    RB: "Rufbereitschaft",
+    WS: "Wechselschicht",
+    SO: "Sonntagsarbeit"
+  };
+
+  const TYPE_PATTERNS = [
+    ["BD", /\bBD\b|bereitschaftsdienst/i],
+    ["RB", /\bRB\b|rufbereitschaft|rufdienst/i],
+    ["WS", /\bWS\b|wechselschicht/i],
+    ["SO", /\bSO\b|sonntagsarbeit|sonntagsdienst/i],
+  ];
+
+  const detectType = (txt) => (TYPE_PATTERNS.find(([, re]) => re.test(String(txt || ""))) || [null])[0];
+
+  /** "2025-09-05T16:00", "2025-09-05 16:00", "05.09.2025 16:00" → Date (lokal) */
+  const parseDateTime = (txt) => {
+    const s = String(txt || "").trim();
+    let m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{1,2}):(\d{2}))?/);
+    if (m) return new Date(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0));
+    m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2,4})(?:\s+(\d{1,2}):(\d{2}))?/);
+    if (m) {
+      const y = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+      return new Date(y, +m[2] - 1, +m[1], +(m[4] || 0), +(m[5] || 0));
+    }
+    return null;
+  };
+
+  const withTime = (date, hhmm) => {
+    const m = String(hhmm || "").trim().match(/^(\d{1,2})[:.](\d{2})$/);
+    if (!date || !m) return null;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), +m[1], +m[2]);
+  };
+
+  /* --------------------------------------------------------------
+   * 1) CSV
+   *    Spalten (Kopfzeile, ; , oder Tab):
+   *    - beginn/start, ende/end, typ/type            (Datum+Uhrzeit je Feld)
+   *    - datum/date, von/from, bis/to, typ/type      (Ende < Beginn → Folgetag)
+   *    Ohne Kopfzeile: beginn, ende, typ
+   * -------------------------------------------------------------- */
+  const COLS = {
+    start: ["beginn", "start", "von_datum", "dtstart"],
+    end: ["ende", "end", "bis_datum", "dtend"],
+    date: ["datum", "date", "tag"],
+    from: ["von", "from", "uhrzeit_von"],
+    to: ["bis", "to", "uhrzeit_bis"],
+    type: ["typ", "type", "art", "dienst", "dienstart"]
+  };
+
+  const splitLine = (line, sep) => {
+    const out = [];
+    let cur = "";
+    let quoted = false;
+    for (const ch of line) {
+      if (ch === '"') quoted = !quoted;
+      else if (ch === sep && !quoted) { out.push(cur.trim()); cur = ""; }
+      else cur += ch;
+    }
+    out.push(cur.trim());
+    return out;
+  };
+
+  const parseCSV = (text) => {
+    const lines = String(text || "").split(/\r?\n/).filter(l => l.trim());
+    const duties = [];
+    const errors = [];
+    if (!lines.length) return { duties, errors };
+
+    const sep = lines[0].includes(";") ? ";" : lines[0].includes("\t") ? "\t" : ",";
+    const head = splitLine(lines[0], sep).map(h => h.toLowerCase().replace(/\s+/g, "_"));
+    const col = (key) => head.findIndex(h => COLS[key].includes(h));
+    const hasHeader = Object.keys(COLS).some(k => col(k) >= 0);
+    const idx = hasHeader
+      ? { start: col("start"), end: col("end"), date: col("date"), from: col("from"), to: col("to"), type: col("type") }
+      : { start: 0, end: 1, date: -1, from: -1, to: -1, type: 2 };
+
+    lines.slice(hasHeader ? 1 : 0).forEach((line, i) => {
+      const lineNo = i + (hasHeader ? 2 : 1);
+      const cells = splitLine(line, sep);
+      const get = (k) => (idx[k] >= 0 ? cells[idx[k]] : "");
+      let start = null;
+      let end = null;
+      if (idx.start >= 0 && idx.end >= 0) {
+        start = parseDateTime(get("start"));
+        end = parseDateTime(get("end"));
+      } else if (idx.date >= 0) {
+        const day = parseDateTime(get("date"));
+        start = withTime(day, get("from"));
+        end = withTime(day, get("to"));
+        if (start && end && end <= start) end = new Date(end.getTime() + 24 * HOUR);
+      }
+      const type = detectType(get("type"));
+      if (!start || !end) return errors.push({ line: lineNo, message: "Beginn/Ende nicht lesbar" });
+      if (end <= start) return errors.push({ line: lineNo, message: "Ende liegt vor Beginn" });
+      if (!type) return errors.push({ line: lineNo, message: `Diensttyp „${get("type")}“ unbekannt` });
+      duties.push({ start, end, type, label: get("type"), line: lineNo });
+    });
+    return { duties, errors };
+  };
+
+  /* --------------------------------------------------------------
+   * 2) iCalendar (.ics)
+   *    VEVENT mit DTSTART/DTEND; Typ aus SUMMARY/CATEGORIES.
+   *    UTC-Zeiten (…Z) werden in Ortszeit umgerechnet, TZID als Ortszeit gelesen.
+   * -------------------------------------------------------------- */
+  const parseIcsDate = (value, params) => {
+    const m = String(value || "").match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!m) return null;
+    if (m[7]) return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0)));
+    if (!m[4] || /VALUE=DATE(?!-)/.test(params)) return new Date(+m[1], +m[2] - 1, +m[3]);
+    return new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  };
+
+  const parseICS = (text) => {
+    const lines = String(text || "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    const duties = [];
+    const errors = [];
+    let ev = null;
+    let n = 0;
+    lines.forEach((line) => {
+      if (line === "BEGIN:VEVENT") { ev = {}; n++; return; }
+      if (line === "END:VEVENT") {
+        if (ev) {
+          const type = detectType(`${ev.SUMMARY || ""} ${ev.CATEGORIES || ""}`);
+          let end = ev.DTEND;
+          if (!end && ev.DTSTART && ev.allDay) end = new Date(ev.DTSTART.getTime() + 24 * HOUR);
+          if (!ev.DTSTART || !end) errors.push({ line: n, message: `Termin „${ev.SUMMARY || n}“ ohne Beginn/Ende` });
+          else if (!type) errors.push({ line: n, message: `Termin „${ev.SUMMARY || n}“: Diensttyp unbekannt` });
+          else duties.push({ start: ev.DTSTART, end, type, label: ev.SUMMARY || TYPES[type], line: n });
+        }
+        ev = null;
+        return;
+      }
+      if (!ev) return;
+      const m = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/);
+      if (!m) return;
+      const [, key, params, value] = m;
+      if (key === "DTSTART" || key === "DTEND") {
+        ev[key] = parseIcsDate(value, params);
+        if (key === "DTSTART") ev.allDay = /^\d{8}$/.test(value);
+      } else if (key === "SUMMARY" || key === "CATEGORIES") {
+        ev[key] = value.replace(/\\,/g, ",").replace(/\\n/gi, " ");
+      }
+    });
+    return { duties, errors };
+  };
+
+  const parse = (text, filename = "") => {
+    const isIcs = /\.(ics|ical|ifb)$/i.test(filename) || /BEGIN:VCALENDAR/.test(String(text).slice(0, 200));
+    const res = isIcs ? parseICS(text) : parseCSV(text);
+    res.duties.sort((a, b) => a.start - b.start);
+    return { format: isIcs ? "ics" : "csv", ...res };
+  };
+
+  /* --------------------------------------------------------------
+   * 3) Zerlegung in Zeitfenster
+   *    Grenzen: 0, 4, 6, 20, 21, 24 Uhr. RB: So/Feiertag gelten bis 4 Uhr Folgetag.
+   * -------------------------------------------------------------- */
+  const BOUNDS = [4, 6, 20, 21, 24];
+
+  const dayType = (d, isHoliday) => {
+    if (isHoliday(d)) return "hol";
+    const wd = d.getDay();
+    return wd === 0 ? "sun" : wd === 6 ? "sat" : "wd";
+  };
+
+  /** Zerlegt [start, end) in Stücke, die jeweils in genau einem Stundenfenster eines Tages liegen */
+  const pieces = (start, end) => {
+    const out = [];
+    let cur = new Date(start);
+    while (cur < end) {
+      const h = cur.getHours() + cur.getMinutes() / 60;
+      const nextH = BOUNDS.find(b => b > h);
+      const next = new Date(cur.getFullYear(), cur.getMonth(), cur.getDate(), 0, 0);
+      next.setHours(nextH);
+      const stop = next < end ? next : end;
+      out.push({ start: cur, end: stop, hours: (stop - cur) / HOUR, hour: h });
+      cur = stop;
+    }
+    return out;
+  };
+
+  const rbSlotFor = (p, isHoliday) => {
+    const type = dayType(p.start, isHoliday);
+    if (p.hour < 4) {
+      const prev = new Date(p.start.getFullYear(), p.start.getMonth(), p.start.getDate() - 1);
+      const prevType = dayType(prev, isHoliday);
+      if (prevType === "hol" || prevType === "sun") return prevType;
+    }
+    if (type !== "wd") return type;
+    if (p.hour < 4) return "wd_0_4";
+    if (p.hour < 6) return "wd_4_6";
+    if (p.hour < 20) return "wd_6_20";
+    return "wd_20_24";
+  };
+
+  const isNight = (p) => p.hour >= 21 || p.hour < 6;
+
+  const emptyTotals = () => ({
+    bd: { hours: 0, nightHours: 0, holidayHours: 0 },
+    rb: { slots: { wd_6_20: 0, wd_4_6: 0, wd_20_24: 0, wd_0_4: 0, sat: 0, sun: 0, hol: 0 } },
+    para11: { wsNachtHours: 0, sunHours: 0, holWithCompHours: 0 }
+  });
+
+  /**
+   * Zerlegt einen Dienst; optional nur Anteile im Monat (year, month).
+   * Liefert { hours, parts: [{ key, label, hours }], totals } im Format der Engine-Eingaben.
+   */
+  const split = (duty, opts = {}) => {
+    const isHoliday = opts.isHoliday || (() => false);
+    const inMonth = (p) => !opts.year || (p.start.getFullYear() === Number(opts.year) && p.start.getMonth() + 1 === Number(opts.month));
+    const totals = emptyTotals();
+    let hours = 0;
+
+    pieces(duty.start, duty.end).filter(inMonth).forEach(p => {
+      const h = p.hours;
+      const type = dayType(p.start, isHoliday);
+      hours += h;
+      if (duty.type === "BD") {
+        totals.bd.hours += h;
+        if (isNight(p)) totals.bd.nightHours += h;
+        else if (type === "hol") totals.bd.holidayHours += h;
+      } else if (duty.type === "RB") {
+        totals.rb.slots[rbSlotFor(p, isHoliday)] += h;
+      } else {
+        if (duty.type === "WS" && isNight(p)) totals.para11.wsNachtHours += h;
+        if (type === "sun") totals.para11.sunHours += h;
+        if (type === "hol") totals.para11.holWithCompHours += h;
+      }
+    });
+
+    const parts = [];
+    const add = (key, label, h) => { if (h > 0) parts.push({ key, label, hours: round2(h) }); };
+    add("bdHours", "BD gesamt", totals.bd.hours);
+    add("bdNightHours", "BD Nacht 21–6", totals.bd.nightHours);
+    add("bdHolidayHours", "BD Feiertag", totals.bd.holidayHours);
+    Object.entries(SLOT_LABELS).forEach(([slot, label]) => add(`rb_${slot}`, `RB ${label}`, totals.rb.slots[slot]));
+    add("wsNachtHours", "WS-Nacht 21–6", totals.para11.wsNachtHours);
+    add("sunHours", "Sonntag", totals.para11.sunHours);
+    add("holWithCompHours", "Feiertag", totals.para11.holWithCompHours);
+
+    return { duty, hours: round2(hours), parts, totals };
+  };
+
+  const SLOT_LABELS = {
+    wd_6_20: "Werktag 6–20",
+    wd_4_6: "Werktag 4–6",
+    wd_20_24: "Werktag 20–24",
+    wd_0_4: "Werktag 0–4",
+    sat: "Samstag",
+    sun: "Sonntag",
+    hol: "Feiertag"
+  };
+
+  /** Summiert alle Dienste für einen Monat: { rows, totals } */
+  const summarize = (duties, opts = {}) => {
+    const totals = emptyTotals();
+    const rows = duties.map(d => split(d, opts)).filter(r => r.hours > 0);
+    rows.forEach(r => {
+      Object.keys(totals.bd).forEach(k => { totals.bd[k] += r.totals.bd[k]; });
+      Object.keys(totals.rb.slots).forEach(k => { totals.rb.slots[k] += r.totals.rb.slots[k]; });
+      Object.keys(totals.para11).forEach(k => { totals.para11[k] += r.totals.para11[k]; });
+    });
+    return { rows, totals };
+  };
+
+  /** Monat mit den meisten Dienststunden (Beginn-Datum) → { year, month } */
+  const dominantMonth = (duties) => {
+    const acc = {};
+    duties.forEach(d => {
+      const key = `${d.start.getFullYear()}-${d.start.getMonth() + 1}`;
+      acc[key] = (acc[key] || 0) + (d.end - d.start);
+    });
+    const best = Object.entries(acc).sort((a, b) => b[1] - a[1])[0];
+    if (!best) return null;
+    const [year, month] = best[0].split("-").map(Number);
+    return { year, month };
+  };
+
+  return {
+    TYPES,
+    SLOT_LABELS,
+    detectType,
+    parseCSV,
+    parseICS,
+    parse,
+    split,
+    summarize,
+    dominantMonth
+  };
+});
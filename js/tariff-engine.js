@@ -0,0 +1,554 @@
+/* ==========================================================================
+   File: js/tariff-engine.js
+   Rolle: TV-Ärzte/St. Georg Kalkulations-Engine (rein, ohne DOM)
+   Ziel:
+   - Tarifindex aus careers.json (tariff) aufbauen
+   - Monatsberechnung: Tabellenentgelt, BD (§12), RB (§12a), §11-Zuschläge
+   - Steuerfreie Anteile (§ 3b EStG) je Slot/Zuschlag nachvollziehbar ausgewiesen
+   - Stufenplanung (§19/§20) und Projektion über 12–36 Monate (Tarifstand je Monat)
+   - Strukturiertes Ergebnisobjekt für UI, Export und Payslip-Abgleich
+
+   Verwendung:
+   - Browser: window.TariffEngine (vor app.js laden)
+   - Node (CommonJS): const TariffEngine = require("./js/tariff-engine.js")
+
+   Eingabe calculate(idx, input):
+   {
+     year: 2025, month: 9, eg: "EG_II" | "EG II", stufe: 3,
+     bd: { hours, nightHours, holidayHours, level: "I" | "II" | "III", payMode: "geld" | "freizeit", optOut },
+     rb: { level: "I" | "II" | "III", slots: { wd_6_20, wd_4_6, wd_20_24, wd_0_4, sat, sun, hol } },
+     para11: { schichtDauerhaft, wsNachtHours, nightHours, satHours, sunHours, holNoCompHours, holWithCompHours, vorfestHours, overtimeHours,
+               vorfest24Hours, vorfest31Hours }   // davon 24.12. bzw. 31.12. ab 14 Uhr (§ 3b)
+   }
+   ========================================================================== */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TariffEngine = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /* --------------------------------------------------------------
+   * 0) Helpers
+   * -------------------------------------------------------------- */
+  const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+  const num = (txt) => {
+    if (typeof txt === "number") return Number.isFinite(txt) ? txt : 0;
+    if (txt == null) return 0;
+    const normalized = String(txt).replace(/\./g, "").replace(/\s/g, "").replace(",", ".");
+    const n = Number(normalized);
+    return Number.isFinite(n) ? n : 0;
+  };
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const isoDate = (y, m, d = 1) => `${Number(y)}-${pad(Number(m))}-${pad(d)}`;
+
+  /** "EG II" / "EG-II" / "EG_II" → "EG_II" */
+  const normalizeEG = (eg) => String(eg || "").trim().replace(/[\s-]+/, "_");
+
+  // Letzter Eintrag mit valid_from <= Stichtag (ISO-Strings vergleichen lexikographisch)
+  const effective = (list, date) => {
+    let hit = null;
+    for (const it of list || []) if (it.valid_from <= date) hit = it;
+    return hit;
+  };
+
+  /* --------------------------------------------------------------
+   * 1) Konstanten (Prozentsätze)
+   * -------------------------------------------------------------- */
+  const RB_SLOTS = ["wd_6_20", "wd_4_6", "wd_20_24", "wd_0_4", "sat", "sun", "hol"];
+
+  const BD_SURCHARGES = {
+    night: 0.15,     // Nacht (21–6) +15 %
+    holiday: 0.25,   // Feiertag +25 %
+    over97: 0.05,    // ab 97. BD-Stunde +5 %/h
+    over97From: 97
+  };
+
+  // BD-Bewertung als Arbeitszeit je Stufe (%) und Ø-Wochenhöchstarbeitszeit inkl. BD (ArbZG/Opt-out);
+  // durch tariff.bd_bewertung (je valid_from) überschreibbar
+  const BD_BEWERTUNG = {
+    stufen: { I: 60, II: 75, III: 90 },
+    maxWeekly: 48,
+    maxWeeklyOptOut: 58
+  };
+
+  // § 11 Zeitzuschläge auf das Stundenentgelt der Stufe 3; durch tariff.para11 (je valid_from, Angaben in %) überschreibbar
+  const PARA11 = {
+    night: 0.15,       // Nachtarbeit 21–6 (außerhalb Wechselschicht) 15 %
+    sat: 0.20,         // Samstag 13–21 Uhr 20 %
+    sun: 0.40,         // Sonntag 40 %
+    holNoComp: 1.35,   // Feiertag ohne Freizeitausgleich 135 %
+    holWithComp: 0.35, // Feiertag mit Freizeitausgleich 35 %
+    vorfest: 0.35,     // 24./31. Dezember ab 6 Uhr 35 %
+    overtime: 0.15     // Überstunden 15 %
+  };
+
+  // careers.json-Schlüssel (tariff.para11[].rates) → PARA11
+  const PARA11_KEYS = {
+    night: "night",
+    sat: "sat",
+    sun: "sun",
+    hol_no_comp: "holNoComp",
+    hol_with_comp: "holWithComp",
+    vorfest: "vorfest",
+    overtime: "overtime"
+  };
+
+  // § 3b EStG: steuerfreier Anteil in % des Grundlohns (Grundlohn höchstens capEurPerHour);
+  // durch tariff.para11_taxfree überschreibbar. RB-Slots: tariff.rb_taxfree
+  const TAXFREE_3B = {
+    capEurPerHour: 50,
+    rates: {
+      bd_night: 25,       // BD-Nachtzuschlag (21–6)
+      bd_holiday: 125,    // BD-Feiertagszuschlag
+      ws_night: 25,       // Wechselschicht-Nacht
+      sun: 50,            // Sonntag
+      hol_no_comp: 125,   // Feiertag ohne FA (nur Zuschlagsanteil über 100 %); 25./26.12. und 1.5. (150 %) nicht getrennt erfasst
+      hol_with_comp: 125, // Feiertag mit FA; wie oben
+      night: 25,          // Nachtarbeit außerhalb WS
+      vorfest_24: 150,    // 24.12. ab 14 Uhr (§ 3b Abs. 1 Nr. 4 EStG)
+      vorfest_31: 125     // 31.12. ab 14 Uhr (§ 3b Abs. 1 Nr. 3 EStG); Vorfeststunden 6–14 Uhr steuerpflichtig
+    }
+  };
+
+  const TAXFREE_LABELS = {
+    wd_6_20: "RB Werktag 6–20",
+    wd_4_6: "RB Werktag 4–6",
+    wd_20_24: "RB Werktag 20–24",
+    wd_0_4: "RB Werktag 0–4",
+    sat: "RB Samstag",
+    sun: "RB Sonntag",
+    hol: "RB Feiertag",
+    bd_night: "BD Nacht",
+    bd_holiday: "BD Feiertag",
+    ws_night: "Wechselschicht-Nacht",
+    para11_sun: "§ 11 Sonntag",
+    para11_hol_no_comp: "§ 11 Feiertag ohne FA",
+    para11_hol_with_comp: "§ 11 Feiertag mit FA",
+    para11_night: "§ 11 Nachtarbeit",
+    para11_vorfest_24: "§ 11 Vorfest 24.12. ab 14 Uhr",
+    para11_vorfest_31: "§ 11 Vorfest 31.12. ab 14 Uhr"
+  };
+
+  /* --------------------------------------------------------------
+   * 2) Tarifindex
+   * -------------------------------------------------------------- */
+  const buildIndex = (tariff) => {
+    const idx = {
+      weeklyHours: tariff?.weekly_hours || 40,
+      versions: [],
+      entgelttabellen: {},         // version -> { EG_*: [stufen] }
+      bdHourly: {},                // version -> { EG_*: €/h }
+      rbFactors: tariff?.rb_factors || {},
+      rbTaxfree: tariff?.rb_taxfree || {},
+      taxfree: {
+        cap: num(tariff?.para11_taxfree?.basis_cap_eur_per_h) || TAXFREE_3B.capEurPerHour,
+        rates: { ...TAXFREE_3B.rates, ...(tariff?.para11_taxfree?.rates || {}) }
+      },
+      stufenLaufzeit: tariff?.stufenlaufzeiten || {}, // Jahre je Stufe bis zum Aufstieg (§20); ohne Angabe kein Aufstieg
+      schichtzulage: [...(tariff?.schichtzulage || [])].sort((a, b) => a.valid_from < b.valid_from ? -1 : 1),
+      wsNacht: [...(tariff?.wechselschicht_nacht_eur_per_h || [])].sort((a, b) => a.valid_from < b.valid_from ? -1 : 1),
+      bdBewertung: [...(tariff?.bd_bewertung || [])].sort((a, b) => a.valid_from < b.valid_from ? -1 : 1),
+      para11: [...(tariff?.para11 || [])].sort((a, b) => a.valid_from < b.valid_from ? -1 : 1)
+    };
+
+    (tariff?.entgelttabellen || []).forEach(t => {
+      idx.entgelttabellen[t.valid_from] = t.table;
+      idx.versions.push(t.valid_from);
+    });
+    (tariff?.bd_hourly || []).forEach(b => {
+      idx.bdHourly[b.valid_from] = b.by_eg;
+      if (!idx.versions.includes(b.valid_from)) idx.versions.push(b.valid_from);
+    });
+
+    // sort versions ascending
+    idx.versions.sort();
+    return idx;
+  };
+
+  /* --------------------------------------------------------------
+   * 3) Lookups
+   * -------------------------------------------------------------- */
+
+  // Pick effective version <= given month/year
+  const pickVersion = (idx, y, m) => {
+    const d = isoDate(y, m, 15);
+    let pick = idx.versions[0] || null;
+    for (const v of idx.versions) {
+      if (v <= d) pick = v;
+      else break;
+    }
+    return pick;
+  };
+
+  /** Entgelttabelle zum Stand; Stände nur mit BD-Sätzen erben die letzte bekannte Tabelle */
+  const getTable = (idx, versionKey) => {
+    let table = null;
+    for (const v of idx.versions) {
+      if (v > versionKey) break;
+      if (idx.entgelttabellen[v]) table = idx.entgelttabellen[v];
+    }
+    return table || idx.entgelttabellen[idx.versions.find(v => idx.entgelttabellen[v])] || {};
+  };
+
+  const getBaseMonthly = (idx, versionKey, eg, stufe) => {
+    const arr = getTable(idx, versionKey)[normalizeEG(eg)] || [];
+    const i = clamp(Number(stufe) - 1, 0, arr.length - 1);
+    return num(arr[i] || 0);
+  };
+
+  const getBDHourly = (idx, versionKey, eg) => {
+    eg = normalizeEG(eg);
+    if (idx.bdHourly[versionKey] && eg in idx.bdHourly[versionKey]) {
+      return num(idx.bdHourly[versionKey][eg]);
+    }
+    // fallback to last known version <= current
+    let last = 0;
+    for (const v of idx.versions) {
+      if (v <= versionKey && idx.bdHourly[v] && eg in idx.bdHourly[v]) {
+        last = num(idx.bdHourly[v][eg]);
+      }
+    }
+    return last || 0;
+  };
+
+  const monthlyHours = (weeklyHours) => (weeklyHours * 52) / 12; // 4.333...
+  const hourlyFromMonthly = (monthly, weeklyHours) => {
+    const h = monthlyHours(weeklyHours);
+    return h > 0 ? (monthly / h) : 0;
+  };
+
+  const getSchichtzulage = (idx, y, m) => num(effective(idx.schichtzulage, isoDate(y, m))?.eur_per_month);
+
+  const getWsNachtEuro = (idx, y, m) => num(effective(idx.wsNacht, isoDate(y, m))?.eur_per_hour);
+
+  /** § 11-Sätze zum Monat (Anteile, z. B. 0.15); fehlende Sätze aus PARA11 */
+  const getPara11 = (idx, y, m) => {
+    const hit = effective(idx.para11, isoDate(y, m)) || idx.para11?.[0];
+    const rates = { ...PARA11 };
+    Object.entries(hit?.rates || {}).forEach(([key, pct]) => {
+      if (PARA11_KEYS[key]) rates[PARA11_KEYS[key]] = num(pct) / 100;
+    });
+    return { validFrom: hit?.valid_from || null, rates };
+  };
+
+  /** BD-Bewertung zum Monat; vor dem ersten Stand gilt der erste, ohne Daten BD_BEWERTUNG */
+  const getBDBewertung = (idx, y, m) => {
+    const hit = effective(idx.bdBewertung, isoDate(y, m)) || idx.bdBewertung?.[0];
+    return {
+      validFrom: hit?.valid_from || null,
+      stufen: { ...BD_BEWERTUNG.stufen, ...(hit?.stufen || {}) },
+      maxWeekly: num(hit?.max_weekly_hours) || BD_BEWERTUNG.maxWeekly,
+      maxWeeklyOptOut: num(hit?.max_weekly_hours_opt_out) || BD_BEWERTUNG.maxWeeklyOptOut
+    };
+  };
+
+  /* --------------------------------------------------------------
+   * 4) Monatsberechnung
+   * -------------------------------------------------------------- */
+  const calculate = (idx, input = {}) => {
+    const y = Number(input.year);
+    const m = Number(input.month);
+    const eg = normalizeEG(input.eg || "EG_II");
+    const stufe = Number(input.stufe || 1);
+    const version = pickVersion(idx, y, m);
+
+    const weekly = idx.weeklyHours;
+    const baseMonthly = getBaseMonthly(idx, version, eg, stufe);
+    const baseHourlyIndiv = hourlyFromMonthly(baseMonthly, weekly);
+
+    const baseStufe3 = getBaseMonthly(idx, version, eg, 3) || baseMonthly;
+    const hourlyOnStufe3 = hourlyFromMonthly(baseStufe3, weekly);
+
+    // BD
+    const bdIn = input.bd || {};
+    const bdHours = Math.max(0, num(bdIn.hours));
+    const bdNightHours = clamp(num(bdIn.nightHours), 0, bdHours);
+    const bdHolidayHours = clamp(num(bdIn.holidayHours), 0, Math.max(0, bdHours - bdNightHours));
+    const bdHourly = getBDHourly(idx, version, eg);
+    const bdLevel = ["I", "II", "III"].includes(bdIn.level) ? bdIn.level : "III";
+    const bdPayMode = bdIn.payMode === "freizeit" ? "freizeit" : "geld";
+    const bew = getBDBewertung(idx, y, m);
+    const bdPct = num(bew.stufen[bdLevel]);
+    const bdValuedHours = bdHours * (bdPct / 100);
+    // Freizeitausgleich: bewertete Zeit wird in Freizeit abgegolten, Zuschläge bleiben Geld
+    const bdBase = bdPayMode === "geld" ? bdValuedHours * bdHourly : 0;
+    const bdAvgWeekly = weekly + (bdHours * 12) / 52; // Ø Woche: vertragliche Zeit + BD (voll als Arbeitszeit nach ArbZG)
+    const bdLimit = bdIn.optOut ? bew.maxWeeklyOptOut : bew.maxWeekly;
+    const bdNightPlus = bdNightHours * (bdHourly * BD_SURCHARGES.night);
+    const bdHolPlus = bdHolidayHours * (bdHourly * BD_SURCHARGES.holiday);
+    const extraHoursOver97 = Math.max(0, bdHours - BD_SURCHARGES.over97From);
+    const bdPlus97 = extraHoursOver97 * (bdHourly * BD_SURCHARGES.over97);
+    const bdTotal = bdBase + bdNightPlus + bdHolPlus + bdPlus97;
+
+    // RB
+    const rbIn = input.rb || {};
+    const rbLevel = rbIn.level || "III";
+    const rbSlots = [];
+    let rbHoursEq = 0;
+    let rbEuro = 0;
+    let rbSurcharge = 0;
+    let rbTaxfree = 0;
+    const taxfreeLines = [];
+    const taxCap = idx.taxfree?.cap || TAXFREE_3B.capEurPerHour;
+    const grundlohn = Math.min(baseHourlyIndiv, taxCap);
+
+    // Steuerfreier Anteil: höchstens Stunden × gedeckelter Grundlohn × Satz
+    const traceTaxfree = (source, key, hours, pct, amount) => {
+      if (!(amount > 0)) return 0;
+      const taxfree = Math.min(amount, hours * grundlohn * (pct / 100));
+      taxfreeLines.push({ source, key, label: TAXFREE_LABELS[key] || key, hours, pct, amount, taxfree });
+      return taxfree;
+    };
+
+    for (const slot of RB_SLOTS) {
+      const hours = num(rbIn.slots?.[slot]);
+      if (!hours) continue;
+      const factorPct = num(idx.rbFactors?.[slot]?.[rbLevel]); // %
+      const eq = hours * (factorPct / 100);
+      const euro = eq * baseHourlyIndiv;
+      const taxfreePct = num(idx.rbTaxfree?.[slot]);
+      const surcharge = euro * (taxfreePct / 100);
+      const taxfree = traceTaxfree("rb_taxfree", slot, eq, taxfreePct, surcharge);
+      rbHoursEq += eq;
+      rbEuro += euro;
+      rbSurcharge += surcharge;
+      rbTaxfree += taxfree;
+      rbSlots.push({ slot, hours, factorPct, hoursEq: eq, euro, taxfreePct, surcharge, taxfree });
+    }
+
+    // § 11 (außerhalb BD/RB)
+    const p11 = input.para11 || {};
+    const schichtZulMonat = p11.schichtDauerhaft ? getSchichtzulage(idx, y, m) : 0;
+    const wsNachtHours = num(p11.wsNachtHours);
+    const wsNachtEur = getWsNachtEuro(idx, y, m);
+    const wsNachtSum = wsNachtHours * wsNachtEur;
+
+    const p11Table = getPara11(idx, y, m);
+    const p11Rates = p11Table.rates;
+    const p11Surcharge = (key, hours) => ({ hours, pct: Math.round(p11Rates[key] * 10000) / 100, sum: hours * hourlyOnStufe3 * p11Rates[key] });
+    const p11Night = p11Surcharge("night", num(p11.nightHours));
+    const p11Sat = p11Surcharge("sat", num(p11.satHours));
+    const p11Sun = p11Surcharge("sun", num(p11.sunHours));
+    const p11HolNoComp = p11Surcharge("holNoComp", num(p11.holNoCompHours));
+    const p11HolWithComp = p11Surcharge("holWithComp", num(p11.holWithCompHours));
+    const p11Vorfest = p11Surcharge("vorfest", num(p11.vorfestHours));
+    p11Vorfest.hours24 = clamp(num(p11.vorfest24Hours), 0, p11Vorfest.hours);
+    p11Vorfest.hours31 = clamp(num(p11.vorfest31Hours), 0, p11Vorfest.hours - p11Vorfest.hours24);
+    const p11Overtime = p11Surcharge("overtime", num(p11.overtimeHours));
+    const para11Sum = [p11Night, p11Sat, p11Sun, p11HolNoComp, p11HolWithComp, p11Vorfest, p11Overtime]
+      .reduce((a, x) => a + x.sum, 0) + wsNachtSum;
+
+    // § 3b für BD- und § 11-Zuschläge (Feiertag ohne FA: nur Anteil über 100 %)
+    const rates = idx.taxfree?.rates || TAXFREE_3B.rates;
+    const holNoCompShare = p11Rates.holNoComp > 1 ? (p11Rates.holNoComp - 1) / p11Rates.holNoComp : 1;
+    traceTaxfree("para11_taxfree", "bd_night", bdNightHours, rates.bd_night, bdNightPlus);
+    traceTaxfree("para11_taxfree", "bd_holiday", bdHolidayHours, rates.bd_holiday, bdHolPlus);
+    traceTaxfree("para11_taxfree", "ws_night", wsNachtHours, rates.ws_night, wsNachtSum);
+    traceTaxfree("para11_taxfree", "para11_night", p11Night.hours, rates.night, p11Night.sum);
+    traceTaxfree("para11_taxfree", "para11_sun", p11Sun.hours, rates.sun, p11Sun.sum);
+    traceTaxfree("para11_taxfree", "para11_hol_no_comp", p11HolNoComp.hours, rates.hol_no_comp, p11HolNoComp.sum * holNoCompShare);
+    traceTaxfree("para11_taxfree", "para11_hol_with_comp", p11HolWithComp.hours, rates.hol_with_comp, p11HolWithComp.sum);
+    // Vorfest: § 11 ab 6 Uhr, § 3b nur für die Stunden ab 14 Uhr
+    const vorfestHourly = hourlyOnStufe3 * p11Rates.vorfest;
+    traceTaxfree("para11_taxfree", "para11_vorfest_24", p11Vorfest.hours24, rates.vorfest_24, p11Vorfest.hours24 * vorfestHourly);
+    traceTaxfree("para11_taxfree", "para11_vorfest_31", p11Vorfest.hours31, rates.vorfest_31, p11Vorfest.hours31 * vorfestHourly);
+    const taxfreeTotal = taxfreeLines.reduce((a, l) => a + l.taxfree, 0);
+
+    // Total (Auszahlung): Entgelt + RB-Zuschläge; davon steuerpflichtig = Total − steuerfreie Anteile
+    const total = baseMonthly + bdTotal + rbEuro + rbSurcharge + schichtZulMonat + para11Sum;
+
+    return {
+      year: y,
+      month: m,
+      version,
+      eg,
+      stufe,
+      weeklyHours: weekly,
+      base: {
+        monthly: baseMonthly,
+        hourly: baseHourlyIndiv,
+        hourlyStufe3: hourlyOnStufe3
+      },
+      bd: {
+        hours: bdHours,
+        nightHours: bdNightHours,
+        holidayHours: bdHolidayHours,
+        hourly: bdHourly,
+        level: bdLevel,
+        pct: bdPct,
+        valuedHours: bdValuedHours,
+        payMode: bdPayMode,
+        freizeitHours: bdPayMode === "freizeit" ? bdValuedHours : 0,
+        bewertungFrom: bew.validFrom,
+        arbzg: {
+          avgWeekly: bdAvgWeekly,
+          limit: bdLimit,
+          maxWeekly: bew.maxWeekly,
+          maxWeeklyOptOut: bew.maxWeeklyOptOut,
+          optOut: !!bdIn.optOut,
+          needsOptOut: bdAvgWeekly > bew.maxWeekly,
+          exceeds: bdAvgWeekly > bdLimit
+        },
+        base: bdBase,
+        night: bdNightPlus,
+        holiday: bdHolPlus,
+        over97Hours: extraHoursOver97,
+        over97: bdPlus97,
+        total: bdTotal
+      },
+      rb: {
+        level: rbLevel,
+        hoursEq: rbHoursEq,
+        euro: rbEuro,
+        surcharge: rbSurcharge,
+        taxfree: rbTaxfree,
+        total: rbEuro + rbSurcharge,
+        slots: rbSlots
+      },
+      para11: {
+        schichtzulage: schichtZulMonat,
+        wsNacht: { hours: wsNachtHours, rate: wsNachtEur, sum: wsNachtSum },
+        tableFrom: p11Table.validFrom,
+        night: p11Night,
+        sat: p11Sat,
+        sun: p11Sun,
+        holNoComp: p11HolNoComp,
+        holWithComp: p11HolWithComp,
+        vorfest: p11Vorfest,
+        overtime: p11Overtime,
+        sum: para11Sum
+      },
+      taxfree: {
+        cap: taxCap,
+        grundlohn,
+        lines: taxfreeLines,
+        total: taxfreeTotal
+      },
+      taxable: total - taxfreeTotal,
+      total
+    };
+  };
+
+  /* --------------------------------------------------------------
+   * 5) Stufenplanung (§19/§20)
+   *    - Aufstieg jeweils zu Beginn des Monats, in dem die Stufenlaufzeit vollendet ist
+   *    - EG-Wechsel (z. B. FA → OA): Zuordnung zur angegebenen Stufe (Standard 1),
+   *      Stufenlaufzeit beginnt mit dem Wechselmonat neu
+   *    - Laufzeiten je EG/Stufe aus tariff.stufenlaufzeiten (careers.json)
+   *    Datumsangaben als "YYYY-MM".
+   * -------------------------------------------------------------- */
+  const ymKey = (y, m) => `${Number(y)}-${pad(Number(m))}`;
+  const parseYm = (ym) => {
+    const [y, m] = String(ym || "").split("-").map(Number);
+    return y && m ? { year: y, month: m } : null;
+  };
+
+  const maxStufe = (idx, eg) => {
+    const latest = idx.versions[idx.versions.length - 1];
+    return (getTable(idx, latest || "")[eg] || []).length || ((idx.stufenLaufzeit[eg] || []).length + 1);
+  };
+
+  const planStufen = (idx, plan = {}, until) => {
+    const start = parseYm(plan.since);
+    if (!start) return [];
+    const end = until || ymKey(start.year + 40, start.month);
+    const changes = (plan.changes || [])
+      .filter(c => parseYm(c.from) && c.eg)
+      .map(c => ({ from: c.from, eg: normalizeEG(c.eg), stufe: Math.max(1, Number(c.stufe) || 1) }))
+      .sort((a, b) => a.from < b.from ? -1 : 1);
+
+    const segments = [];
+    let cur = { from: ymKey(start.year, start.month), eg: normalizeEG(plan.eg), stufe: Math.max(1, Number(plan.stufe) || 1), reason: "start" };
+    while (cur.from <= end && segments.length < 100) {
+      cur.stufe = Math.min(cur.stufe, maxStufe(idx, cur.eg));
+      segments.push(cur);
+      const years = (idx.stufenLaufzeit[cur.eg] || [])[cur.stufe - 1];
+      const from = parseYm(cur.from);
+      const stepAt = years && cur.stufe < maxStufe(idx, cur.eg) ? addMonths(from.year, from.month, Math.round(years * 12)) : null;
+      const step = stepAt ? ymKey(stepAt.year, stepAt.month) : null;
+      const change = changes.find(c => c.from > cur.from);
+      if (change && (!step || change.from <= step)) {
+        cur = { from: change.from, eg: change.eg, stufe: change.stufe, reason: "eg" };
+      } else if (step) {
+        cur = { from: step, eg: cur.eg, stufe: cur.stufe + 1, reason: "step" };
+      } else {
+        break;
+      }
+    }
+    return segments;
+  };
+
+  /** EG/Stufe für einen Monat aus einer Stufenplanung (null vor Planbeginn) */
+  const stufeAt = (segments, y, m) => {
+    const key = ymKey(y, m);
+    let hit = null;
+    for (const s of segments || []) if (s.from <= key) hit = s;
+    return hit ? { eg: hit.eg, stufe: hit.stufe } : null;
+  };
+
+  /* --------------------------------------------------------------
+   * 6) Projektion (Monat für Monat über Tarifstände)
+   *    Das eingegebene Dienstmuster wiederholt sich jeden Monat;
+   *    Tarifstand, Tabelle und BD-Satz werden je Monat neu bestimmt,
+   *    EG/Stufe optional aus einer Stufenplanung (segments).
+   * -------------------------------------------------------------- */
+  const addMonths = (y, m, n) => {
+    const i = Number(y) * 12 + (Number(m) - 1) + n;
+    return { year: Math.floor(i / 12), month: (i % 12) + 1 };
+  };
+
+  const project = (idx, input = {}, months = 12, segments = null) => {
+    const n = clamp(Math.round(Number(months) || 12), 1, 120);
+    const rows = [];
+    for (let i = 0; i < n; i++) {
+      const { year, month } = addMonths(input.year, input.month, i);
+      const planned = segments ? stufeAt(segments, year, month) : null;
+      rows.push(calculate(idx, { ...input, ...(planned || {}), year, month }));
+    }
+
+    const sum = (list) => list.reduce((acc, r) => ({
+      base: acc.base + r.base.monthly,
+      bd: acc.bd + r.bd.total,
+      rb: acc.rb + r.rb.total,
+      para11: acc.para11 + r.para11.schichtzulage + r.para11.sum,
+      taxfree: acc.taxfree + r.taxfree.total,
+      total: acc.total + r.total
+    }), { base: 0, bd: 0, rb: 0, para11: 0, taxfree: 0, total: 0 });
+
+    const years = [...new Set(rows.map(r => r.year))].map(year => {
+      const list = rows.filter(r => r.year === year);
+      return { year, months: list.length, ...sum(list) };
+    });
+
+    return { months: rows, years, total: sum(rows) };
+  };
+
+  return {
+    RB_SLOTS,
+    BD_SURCHARGES,
+    BD_BEWERTUNG,
+    PARA11,
+    TAXFREE_3B,
+    TAXFREE_LABELS,
+    normalizeEG,
+    buildIndex,
+    pickVersion,
+    getTable,
+    getBaseMonthly,
+    getBDHourly,
+    monthlyHours,
+    hourlyFromMonthly,
+    getSchichtzulage,
+    getWsNachtEuro,
+    getBDBewertung,
+    getPara11,
+    calculate,
+    addMonths,
+    planStufen,
+    stufeAt,
+    project
+  };
+});
@@ -0,0 +1,206 @@
+/* ==========================================================================
+   File: js/tariff-tools.js
+   Rolle: Werkzeuge für neue Tarifstände (rein, ohne DOM)
+   Ziel:
+   - Entgelttabelle aus CSV oder aus dem Änderungstarifvertrag (PDF-Text) einlesen
+   - Künftigen Tarifstand aus einem bestehenden erzeugen (Prozent und/oder Festbetrag, Rundung)
+   - Plausibilitätsprüfung gegen den Vorgängerstand
+   - careers.json-Fragment (tariff.entgelttabellen / tariff.bd_hourly) erzeugen
+   - Tabellenänderungen gegen Erhöhungsangaben (meta.notes) abgleichen
+
+   Verwendung:
+   - Browser: window.TariffTools
+   - Node (CommonJS): const TariffTools = require("./js/tariff-tools.js")
+
+   Eingabeformate (je Zeile eine Entgeltgruppe):
+   - "EG I;5359;5660;5889"        (CSV mit ; , oder Tab)
+   - "Ä 2  7.089,66  7.684,00 …"  (Text aus PDF, Ä1–Ä4 = EG I–IV)
+   - "BD EG II 39,10"             (BD-Entgelt €/h, optional)
+   ========================================================================== */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TariffTools = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const EGS = ["EG_I", "EG_II", "EG_III", "EG_IV"];
+  const ROMAN = { I: "EG_I", II: "EG_II", III: "EG_III", IV: "EG_IV", 1: "EG_I", 2: "EG_II", 3: "EG_III", 4: "EG_IV" };
+
+  /* --------------------------------------------------------------
+   * 0) Zahlen
+   *    "5.359,00" / "5359,5" → deutsch; "5359.50" / "5359" → Punkt als Dezimaltrenner
+   * -------------------------------------------------------------- */
+  const parseAmount = (token) => {
+    const t = String(token).trim();
+    if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(t)) return Number(t.replace(/\./g, "").replace(",", "."));
+    if (/^\d+,\d+$/.test(t)) return Number(t.replace(",", "."));
+    if (/^\d+(\.\d+)?$/.test(t)) return Number(t);
+    return NaN;
+  };
+
+  const AMOUNT_RE = /\d{1,3}(?:\.\d{3})+(?:,\d+)?|\d+(?:[.,]\d+)?/g;
+
+  /* --------------------------------------------------------------
+   * 1) Einlesen
+   * -------------------------------------------------------------- */
+  // "EG II", "Entgeltgruppe 2", "Ä 2" oder nur "2" (dann mit Trennzeichen, damit "1.234" kein EG I ist)
+  const LABEL_RE = /^\s*(BD\s*[:\-]?\s*)?(?:(?:EG|Entgeltgruppe|Ä)\s*[-_]?\s*(IV|III|II|I|[1-4])\b|([1-4])(?=[\s;,\t|]))[\s;,:\t|]*/i;
+
+  const parseTable = (text) => {
+    const table = {};
+    const bd = {};
+    const errors = [];
+    String(text || "").split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.replace(/€/g, " ").trim();
+      if (!line) return;
+      const m = line.match(LABEL_RE);
+      if (!m) {
+        if (/\d/.test(line)) errors.push({ line: i + 1, message: `Zeile ohne Entgeltgruppe: „${raw.trim().slice(0, 40)}“` });
+        return;
+      }
+      const eg = ROMAN[(m[2] || m[3]).toUpperCase()];
+      const values = (line.slice(m[0].length).match(AMOUNT_RE) || []).map(parseAmount);
+      if (!values.length || values.some(v => !Number.isFinite(v))) {
+        errors.push({ line: i + 1, message: `${eg.replace("_", " ")}: keine lesbaren Beträge` });
+        return;
+      }
+      if (m[1]) {
+        bd[eg] = values[0];
+        return;
+      }
+      if (table[eg]) errors.push({ line: i + 1, message: `${eg.replace("_", " ")} doppelt – letzte Zeile gilt` });
+      table[eg] = values;
+    });
+    return { table, bd, errors };
+  };
+
+  /* --------------------------------------------------------------
+   * 2) Erhöhung (Prozent und/oder Festbetrag)
+   * -------------------------------------------------------------- */
+  const ROUNDING = {
+    cent: (v) => Math.round(v * 100) / 100,
+    euro: (v) => Math.round(v),
+    "euro-up": (v) => Math.ceil(v - 1e-9),
+    "five": (v) => Math.round(v / 5) * 5
+  };
+
+  const raiseValue = (v, { pct = 0, fixed = 0, minRaise = 0 } = {}) => {
+    const raised = v * (1 + Number(pct || 0) / 100) + Number(fixed || 0);
+    return Math.max(raised, v + Number(minRaise || 0));
+  };
+
+  /** Tabelle erhöhen: opts = { pct, fixed, minRaise, rounding: "cent" | "euro" | "euro-up" | "five" } */
+  const raise = (table, opts = {}) => {
+    const round = ROUNDING[opts.rounding] || ROUNDING.cent;
+    return Object.fromEntries(Object.entries(table || {}).map(([eg, arr]) => [eg, arr.map(v => round(raiseValue(v, opts)))]));
+  };
+
+  /** BD-Sätze prozentual erhöhen (immer auf Cent) */
+  const raiseBD = (byEg, opts = {}) =>
+    Object.fromEntries(Object.entries(byEg || {}).map(([eg, v]) => [eg, ROUNDING.cent(v * (1 + Number(opts.pct || 0) / 100))]));
+
+  /* --------------------------------------------------------------
+   * 3) Prüfung gegen Vorgängerstand
+   *    issues: [{ level: "error" | "warn", message }]
+   * -------------------------------------------------------------- */
+  const validate = (table, prev = null, opts = {}) => {
+    const maxPct = opts.maxPct ?? 15;
+    const issues = [];
+    const add = (level, message) => issues.push({ level, message });
+
+    EGS.forEach(eg => {
+      const arr = table?.[eg];
+      const label = eg.replace("_", " ");
+      if (!arr?.length) {
+        add("error", `${label} fehlt`);
+        return;
+      }
+      arr.forEach((v, i) => {
+        if (!(v > 0)) add("error", `${label} Stufe ${i + 1}: ungültiger Betrag`);
+        if (i > 0 && v <= arr[i - 1]) add("warn", `${label} Stufe ${i + 1} nicht höher als Stufe ${i}`);
+      });
+      const p = prev?.[eg];
+      if (!p) return;
+      if (p.length !== arr.length) add("warn", `${label}: ${arr.length} statt ${p.length} Stufen`);
+      arr.forEach((v, i) => {
+        if (p[i] == null) return;
+        const pct = (v / p[i] - 1) * 100;
+        if (pct < 0) add("error", `${label} Stufe ${i + 1}: niedriger als bisher (${pct.toFixed(2)} %)`);
+        else if (pct > maxPct) add("warn", `${label} Stufe ${i + 1}: +${pct.toFixed(2)} % – Tippfehler?`);
+      });
+    });
+    Object.keys(table || {}).filter(eg => !EGS.includes(eg)).forEach(eg => add("warn", `Unbekannte Entgeltgruppe ${eg}`));
+    EGS.slice(1).forEach((eg, i) => {
+      const below = table?.[EGS[i]]?.[0];
+      if (below && table?.[eg]?.[0] <= below) add("warn", `${eg.replace("_", " ")} Stufe 1 nicht höher als ${EGS[i].replace("_", " ")} Stufe 1`);
+    });
+    return issues;
+  };
+
+  /** Änderung je EG/Stufe in % gegenüber prev: { EG_I: [pct, …] } */
+  const changes = (table, prev) => Object.fromEntries(Object.entries(table || {}).map(([eg, arr]) => [
+    eg,
+    arr.map((v, i) => (prev?.[eg]?.[i] ? (v / prev[eg][i] - 1) * 100 : null))
+  ]));
+
+  /* --------------------------------------------------------------
+   * 4) careers.json-Fragment
+   * -------------------------------------------------------------- */
+  const toFragment = ({ validFrom, table, bd, note }) => {
+    const fragment = {
+      entgelttabellen: [{ valid_from: validFrom, ...(note ? { note } : {}), table }]
+    };
+    if (bd && Object.keys(bd).length) fragment.bd_hourly = [{ valid_from: validFrom, by_eg: bd }];
+    return fragment;
+  };
+
+  /* --------------------------------------------------------------
+   * 5) Abgleich mit angegebenen Erhöhungen
+   *    meta.notes: "Erhöhungen: +2,5% (01.11.2024), +2,4% (01.04.2025)"
+   * -------------------------------------------------------------- */
+  const CLAIM_RE = /([+-]\s*\d+(?:[.,]\d+)?)\s*%\s*\((\d{2})\.(\d{2})\.(\d{4})\)/g;
+
+  /** Erhöhungsangaben aus Freitext: [{ validFrom: "YYYY-MM-DD", pct }] */
+  const parseRaiseClaims = (notes) => {
+    const text = [].concat(notes || []).join("\n");
+    return Array.from(text.matchAll(CLAIM_RE), m => ({
+      validFrom: `${m[4]}-${m[3]}-${m[2]}`,
+      pct: Number(m[1].replace(/\s/g, "").replace(",", "."))
+    }));
+  };
+
+  /**
+   * Tabelle gegen einen angegebenen Prozentsatz prüfen.
+   * tolerance in Prozentpunkten (Cent-Rundung der Tabellenwerte)
+   * → { ok, min, max, cells, outliers: [{ eg, stufe, pct }] }
+   */
+  const checkRaise = (table, prev, pct, tolerance = 0.05) => {
+    const all = [];
+    Object.entries(changes(table, prev)).forEach(([eg, arr]) => arr.forEach((p, i) => {
+      if (p != null) all.push({ eg, stufe: i + 1, pct: p });
+    }));
+    const outliers = all.filter(c => Math.abs(c.pct - pct) > tolerance);
+    return {
+      ok: all.length > 0 && !outliers.length,
+      min: all.length ? Math.min(...all.map(c => c.pct)) : null,
+      max: all.length ? Math.max(...all.map(c => c.pct)) : null,
+      cells: all.length,
+      outliers
+    };
+  };
+
+  return {
+    EGS,
+    ROUNDING,
+    parseAmount,
+    parseTable,
+    raise,
+    raiseBD,
+    validate,
+    changes,
+    toFragment,
+    parseRaiseClaims,
+    checkRaise
+  };
+});
@@ -0,0 +1,47 @@
+/* ==========================================================================
+   File: test/data-migrations.test.js
+   Rolle: Tests der careers.json-Migrationen (js/data-migrations.js)
+   Ziel:
+   - Kette 1.0.0 → DATA_VERSION auf den echten Daten
+   - RB-Faktoren aus rb_factors_matrix (Stufe III: Sonn-/Feiertagsfaktor nur sun/hol)
+   - amount_* → eur_*; erneuter Lauf ist ein No-op
+
+   Aufruf: node --test test/
+   ========================================================================== */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const DataMigrations = require("../js/data-migrations.js");
+
+const fresh = () => structuredClone(require("../data/careers.json"));
+
+test("migrate: careers.json erreicht DATA_VERSION", () => {
+  const data = fresh();
+  const { version, applied } = DataMigrations.migrate(data);
+  assert.equal(version, DataMigrations.DATA_VERSION);
+  assert.equal(data.meta.version, DataMigrations.DATA_VERSION);
+  assert.deepEqual(applied.map(a => a.from), DataMigrations.MIGRATIONS.map(m => m.from));
+  assert.deepEqual(DataMigrations.migrate(data).applied, []);
+});
+
+test("migrate: rb_factors_matrix → rb_factors/rb_taxfree", () => {
+  const { tariff } = fresh();
+  DataMigrations.migrate({ tariff });
+  assert.equal(tariff.rb_factors_matrix, undefined);
+  assert.deepEqual(tariff.rb_factors.wd_20_24, { I: 10, II: 10.32, III: 10.32 });
+  assert.deepEqual(tariff.rb_factors.wd_6_20, { I: 12.5, II: 12.9, III: 12.9 });
+  assert.deepEqual(tariff.rb_factors.sat, tariff.rb_factors.wd_6_20);
+  assert.deepEqual(tariff.rb_factors.wd_4_6, tariff.rb_factors.wd_20_24);
+  assert.equal(tariff.rb_factors.sun.III, 11.11);
+  assert.deepEqual(tariff.rb_taxfree, DataMigrations.TAXFREE_3B_DEFAULT);
+});
+
+test("migrate: amount_* → eur_*", () => {
+  const { tariff } = fresh();
+  DataMigrations.migrate({ tariff });
+  assert.deepEqual(tariff.schichtzulage.map(x => x.eur_per_month), [220, 240]);
+  assert.deepEqual(tariff.wechselschicht_nacht_eur_per_h.map(x => x.eur_per_hour), [8.25, 9]);
+  assert.ok(tariff.schichtzulage.every(x => !("amount_eur_per_month" in x)));
+});
@@ -0,0 +1,110 @@
+/* ==========================================================================
+   File: test/tariff-engine.test.js
+   Rolle: Regressionstests der Tarif-Engine gegen data/careers.json
+   Ziel:
+   - calculate() je Tarifstand (2024-11, 2025-04, 2025-09) und für 2026-04
+     (nur BD-Sätze, Tabelle erbt 2025-09)
+   - Tabellenentgelt, BD, § 11, Schicht/Wechselschicht, RB und § 3b-Anteile
+   - Eingabe wie in der App: careers.json nach DataMigrations.migrate
+
+   Aufruf: node --test test/
+   ========================================================================== */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TariffEngine = require("../js/tariff-engine.js");
+const DataMigrations = require("../js/data-migrations.js");
+
+const data = structuredClone(require("../data/careers.json"));
+DataMigrations.migrate(data);
+const idx = TariffEngine.buildIndex(data.tariff);
+const MONTH_HOURS = (40 * 52) / 12;
+
+const close = (actual, expected, msg) =>
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${msg}: ${actual} ≠ ${expected}`);
+
+// EG II Stufe 3, 40 h BD (Stufe II, 10 h Nacht), Wechselschicht dauerhaft mit 10 h Nacht, § 11: 20 h Nacht, 8 h Sonntag
+const INPUT = {
+  eg: "EG II",
+  stufe: 3,
+  bd: { hours: 40, nightHours: 10, level: "II", payMode: "geld" },
+  para11: { schichtDauerhaft: true, wsNachtHours: 10, nightHours: 20, sunHours: 8 }
+};
+
+// Erwartung je Monat: Stand, Tabellenentgelt, BD-Stundensatz, Schichtzulage, WS-Nacht €/h
+const CASES = [
+  { year: 2024, month: 11, version: "2024-11-01", monthly: 7805, bdHourly: 37.14, schicht: 0, wsNacht: 0 },
+  { year: 2025, month: 4, version: "2025-04-01", monthly: 7992, bdHourly: 38.03, schicht: 220, wsNacht: 8.25 },
+  { year: 2025, month: 9, version: "2025-09-01", monthly: 8200, bdHourly: 39.02, schicht: 220, wsNacht: 8.25 },
+  { year: 2026, month: 4, version: "2026-04-01", monthly: 8200, bdHourly: 40, schicht: 240, wsNacht: 9 }
+];
+
+for (const c of CASES) {
+  test(`calculate ${c.year}-${String(c.month).padStart(2, "0")}`, () => {
+    const r = TariffEngine.calculate(idx, { ...INPUT, year: c.year, month: c.month });
+    const hourly = c.monthly / MONTH_HOURS;
+
+    assert.equal(r.version, c.version);
+    assert.equal(r.base.monthly, c.monthly);
+    close(r.base.hourly, hourly, "Stundenentgelt");
+    close(r.base.hourlyStufe3, hourly, "Stundenentgelt Stufe 3");
+
+    // BD: 75 % von 40 h × BD-Satz, Nacht +15 %
+    assert.equal(r.bd.hourly, c.bdHourly);
+    assert.equal(r.bd.pct, 75);
+    close(r.bd.base, 30 * c.bdHourly, "BD-Entgelt");
+    close(r.bd.night, 10 * c.bdHourly * 0.15, "BD-Nacht");
+    close(r.bd.total, 30 * c.bdHourly + 10 * c.bdHourly * 0.15, "BD gesamt");
+
+    // § 11: Nacht 15 %, Sonntag 40 % auf Stufe 3; Schichtzulage und WS-Nacht erst ab 2025-04
+    close(r.para11.night.sum, 20 * hourly * 0.15, "§ 11 Nacht");
+    close(r.para11.sun.sum, 8 * hourly * 0.40, "§ 11 Sonntag");
+    assert.equal(r.para11.schichtzulage, c.schicht);
+    close(r.para11.wsNacht.sum, 10 * c.wsNacht, "WS-Nacht");
+    close(r.para11.sum, 20 * hourly * 0.15 + 8 * hourly * 0.40 + 10 * c.wsNacht, "§ 11 Summe");
+
+    // § 3b: alle Zuschläge unter der Grenze Stunden × Grundlohn × Satz → voll steuerfrei
+    assert.equal(r.taxfree.cap, 50);
+    close(r.taxfree.grundlohn, hourly, "Grundlohn");
+    const taxfree = r.bd.night + r.para11.wsNacht.sum + r.para11.night.sum + r.para11.sun.sum;
+    close(r.taxfree.total, taxfree, "steuerfrei");
+
+    const total = c.monthly + r.bd.total + c.schicht + r.para11.sum;
+    close(r.total, total, "Total");
+    close(r.taxable, total - taxfree, "steuerpflichtig");
+  });
+}
+
+test("calculate: Stufe über Tabellenende wird auf die letzte Stufe begrenzt", () => {
+  const r = TariffEngine.calculate(idx, { year: 2025, month: 9, eg: "EG_II", stufe: 9 });
+  assert.equal(r.base.monthly, data.tariff.entgelttabellen.find(t => t.valid_from === "2025-09-01").table.EG_II.at(-1));
+});
+
+test("calculate: § 3b Vorfest nur für Stunden ab 14 Uhr (24.12. 150 %, 31.12. 125 %)", () => {
+  const r = TariffEngine.calculate(idx, {
+    year: 2025, month: 12, eg: "EG_II", stufe: 3,
+    para11: { vorfestHours: 10, vorfest24Hours: 4, vorfest31Hours: 3 }
+  });
+  const vorfestHourly = (8200 / MONTH_HOURS) * 0.35;
+  close(r.para11.vorfest.sum, 10 * vorfestHourly, "§ 11 Vorfest");
+  const lines = Object.fromEntries(r.taxfree.lines.map(l => [l.key, l]));
+  assert.equal(lines.para11_vorfest_24.pct, 150);
+  assert.equal(lines.para11_vorfest_31.pct, 125);
+  close(lines.para11_vorfest_24.taxfree, 4 * vorfestHourly, "Vorfest 24.12.");
+  close(lines.para11_vorfest_31.taxfree, 3 * vorfestHourly, "Vorfest 31.12.");
+  close(r.taxfree.total, 7 * vorfestHourly, "steuerfrei");
+});
+
+test("calculate: RB mit aus rb_factors_matrix migrierten Faktoren", () => {
+  // werktags 20–24 Uhr: ≥12 h 10,32 %, § 3b 25 %
+  const r = TariffEngine.calculate(idx, { year: 2025, month: 9, eg: "EG_II", stufe: 3, rb: { level: "II", slots: { wd_20_24: 20 } } });
+  const hourly = 8200 / MONTH_HOURS;
+  const euro = 20 * 0.1032 * hourly;
+  close(r.rb.hoursEq, 20 * 0.1032, "Äquivalent");
+  close(r.rb.euro, euro, "RB-Entgelt");
+  close(r.rb.surcharge, euro * 0.25, "RB-Zuschlag");
+  close(r.rb.taxfree, euro * 0.25, "RB steuerfrei");
+  close(r.total, 8200 + euro * 1.25, "Total");
+});